@@ -46,7 +46,13 @@ export const blockUser = async (req, res) => {
 
     const user = await User.findByIdAndUpdate(
       userId,
-      { status: 'Banned' },
+      {
+        status: 'Banned',
+        suspendedUntil: null,
+        blockReason: reason || 'Banned by admin',
+        blockedAt: new Date(),
+        blockedBy: req.user?._id
+      },
       { new: true }
     ).select('-password');
 
@@ -78,7 +84,13 @@ export const unblockUser = async (req, res) => {
 
     const user = await User.findByIdAndUpdate(
       userId,
-      { status: 'Active' },
+      {
+        status: 'Active',
+        suspendedUntil: null,
+        $unset: { blockReason: 1, blockedAt: 1, blockedBy: 1 },
+        unblockedAt: new Date(),
+        unblockedBy: req.user?._id
+      },
       { new: true }
     ).select('-password');
 
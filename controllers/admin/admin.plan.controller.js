@@ -1,8 +1,12 @@
 import Plan from '../../models/Plan.js';
 import Subscription from '../../models/Subscription.js';
 import User from '../../models/User.js';
+import Payment from '../../models/Payment.js';
 import mongoose from 'mongoose';
 
+// Ledger statuses that represent money actually received (refunds are netted out)
+const REVENUE_STATUSES = ['paid', 'partially_refunded', 'refunded', 'chargeback'];
+
 /**
  * @desc    Update an existing plan
  * @route   PUT /api/plans/admin/:planId
@@ -62,11 +66,16 @@ export const updatePlan = async (req, res) => {
         const n = Number(v);
         return Number.isFinite(n) && n >= 0 ? n : 0;
       };
+      // Match, like, friend request and media caps stay unlimited (null) when left blank
+      const toLimit = (v) => (v === null || v === undefined || v === '' ? null : toInt(v));
       limitsPatch = {
         totalMessagesAllowed: toInt(limits.totalMessagesAllowed ?? limits.messagesPerDay),
         totalAudioTimeSeconds: toInt(limits.totalAudioTimeSeconds ?? limits.audioTimeSeconds ?? (limits.audioTimeMinutes ? Number(limits.audioTimeMinutes) * 60 : undefined)),
         totalVideoTimeSeconds: toInt(limits.totalVideoTimeSeconds ?? limits.videoTimeSeconds ?? (limits.videoTimeMinutes ? Number(limits.videoTimeMinutes) * 60 : undefined)),
-        matchesAllowed: toInt(limits.matchesAllowed),
+        matchesAllowed: toLimit(limits.matchesAllowed),
+        likesAllowed: toLimit(limits.likesAllowed),
+        friendRequestsAllowed: toLimit(limits.friendRequestsAllowed),
+        mediaAllowed: toLimit(limits.mediaAllowed),
       };
     }
 
@@ -209,6 +218,30 @@ export const getPlanStats = async (req, res) => {
           as: 'subscriptions'
         }
       },
+      {
+        // Revenue comes from the payment ledger, net of refunds
+        $lookup: {
+          from: 'payments',
+          let: { planId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$planId', '$$planId'] },
+                status: { $in: REVENUE_STATUSES }
+              }
+            },
+            {
+              $group: {
+                _id: null,
+                gross: { $sum: '$amount' },
+                refunded: { $sum: '$refundedAmount' },
+                count: { $sum: 1 }
+              }
+            }
+          ],
+          as: 'ledger'
+        }
+      },
       {
         $addFields: {
           totalSubscriptions: { $size: '$subscriptions' },
@@ -228,17 +261,20 @@ export const getPlanStats = async (req, res) => {
               }
             }
           },
+          paidPayments: { $ifNull: [{ $arrayElemAt: ['$ledger.count', 0] }, 0] },
+          refundedRevenue: { $ifNull: [{ $arrayElemAt: ['$ledger.refunded', 0] }, 0] },
           totalRevenue: {
-            $multiply: [
-              '$price',
-              { $size: '$subscriptions' }
+            $subtract: [
+              { $ifNull: [{ $arrayElemAt: ['$ledger.gross', 0] }, 0] },
+              { $ifNull: [{ $arrayElemAt: ['$ledger.refunded', 0] }, 0] }
             ]
           }
         }
       },
       {
         $project: {
-          subscriptions: 0 // Remove the full subscriptions array to keep response clean
+          subscriptions: 0, // Remove the full subscriptions array to keep response clean
+          ledger: 0
         }
       },
       {
@@ -265,11 +301,27 @@ export const getPlanStats = async (req, res) => {
       {
         $group: {
           _id: '$planType',
-          count: { $sum: 1 },
-          revenue: { $sum: '$planId.price' }
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const recentRevenue = await Payment.aggregate([
+      {
+        $match: {
+          paidAt: { $gte: thirtyDaysAgo },
+          status: { $in: REVENUE_STATUSES }
+        }
+      },
+      {
+        $group: {
+          _id: '$planSnapshot.planType',
+          revenue: { $sum: { $subtract: ['$amount', '$refundedAmount'] } }
         }
       }
     ]);
+    const revenueByType = new Map(recentRevenue.map(r => [r._id, r.revenue]));
+    recentSubscriptions.forEach(r => { r.revenue = revenueByType.get(r._id) || 0; });
 
     // Calculate total revenue
     const totalRevenue = planStats.reduce((sum, plan) => sum + plan.totalRevenue, 0);
@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import Report, { REPORT_ACTIONS, REPORT_CATEGORIES } from '../../models/Report.js';
+import AuditLog from '../../models/AuditLog.js';
+import { getClientIp } from '../../middleware/common/auditLogger.js';
+import { applyModerationAction } from '../../services/moderationService.js';
+
+const REPORT_STATUSES = ['open', 'in_review', 'resolved', 'dismissed'];
+const PENDING_STATUSES = ['open', 'in_review'];
+
+// Audit action recorded for each resolution
+const AUDIT_ACTIONS = {
+  dismiss: 'report_dismissed',
+  none: 'report_resolved',
+  warn: 'user_warned',
+  suspend: 'user_suspended',
+  ban: 'user_banned'
+};
+
+const userFields = 'Name email profilePic status warningCount suspendedUntil blockReason';
+
+const audit = (req, report, action, extra = {}) => AuditLog.log({
+  actorId: req.user._id,
+  actorRole: req.user.role,
+  action,
+  targetUserId: report.reportedUserId,
+  ip: getClientIp(req),
+  userAgent: req.headers['user-agent'] || '',
+  reason: extra.reason || '',
+  metadata: { reportId: report._id, category: report.category, ...extra.metadata }
+});
+
+// GET /api/admin/reports?status=&category=&reportedUserId=&page=&limit=
+// Defaults to the pending queue, oldest first
+export const getReports = async (req, res) => {
+  try {
+    const { status, category, reportedUserId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { status: { $in: PENDING_STATUSES } };
+    if (status) {
+      if (!REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: 'Invalid report status' });
+      }
+      filter.status = status;
+    }
+    if (category) {
+      if (!REPORT_CATEGORIES.includes(category)) {
+        return res.status(400).json({ success: false, message: 'Invalid report category' });
+      }
+      filter.category = category;
+    }
+    if (reportedUserId) {
+      if (!mongoose.isValidObjectId(reportedUserId)) {
+        return res.status(400).json({ success: false, message: 'Invalid user id' });
+      }
+      filter.reportedUserId = reportedUserId;
+    }
+
+    const [reports, totalCount] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reporterId', userFields)
+        .populate('reportedUserId', userFields)
+        .populate('assignedTo', 'name role')
+        .lean(),
+      Report.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNextPage: page * limit < totalCount,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('getReports error:', err);
+    return res.status(500).json({ success: false, message: 'Failed to fetch reports' });
+  }
+};
+
+// GET /api/admin/reports/:id  (with the reported user's earlier reports)
+export const getReportById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid report id' });
+    }
+
+    const report = await Report.findById(req.params.id)
+      .populate('reporterId', userFields)
+      .populate('reportedUserId', userFields)
+      .populate('assignedTo', 'name role')
+      .populate('resolution.resolvedBy', 'name role')
+      .lean();
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    const history = await Report.find({ reportedUserId: report.reportedUserId?._id, _id: { $ne: report._id } })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select('category targetType status resolution.action resolution.resolvedAt createdAt')
+      .lean();
+
+    return res.json({ success: true, report, history });
+  } catch (err) {
+    console.error('getReportById error:', err);
+    return res.status(500).json({ success: false, message: 'Failed to fetch report' });
+  }
+};
+
+// PATCH /api/admin/reports/:id/triage  — take the report into review
+export const triageReport = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid report id' });
+    }
+
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: PENDING_STATUSES } },
+      { status: 'in_review', assignedTo: req.user._id },
+      { new: true }
+    );
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'No pending report found' });
+    }
+
+    await audit(req, report, 'report_triaged');
+    return res.json({ success: true, message: 'Report is in review', report });
+  } catch (err) {
+    console.error('triageReport error:', err);
+    return res.status(500).json({ success: false, message: 'Failed to triage report' });
+  }
+};
+
+// POST /api/admin/reports/:id/resolve  { action: dismiss|none|warn|suspend|ban, note?, suspendDays? }
+export const resolveReport = async (req, res) => {
+  try {
+    const { action, note = '', suspendDays } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid report id' });
+    }
+    if (!REPORT_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, message: `action must be one of ${REPORT_ACTIONS.join(', ')}` });
+    }
+    if (typeof note !== 'string' || note.length > 500) {
+      return res.status(400).json({ success: false, message: 'note must be a string of at most 500 characters' });
+    }
+
+    // Claim the report so two moderators can't resolve it twice
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: PENDING_STATUSES } },
+      {
+        status: action === 'dismiss' ? 'dismissed' : 'resolved',
+        assignedTo: req.user._id,
+        resolution: { action, note: note.trim(), resolvedBy: req.user._id, resolvedAt: new Date() }
+      },
+      { new: true }
+    );
+    if (!report) {
+      return res.status(409).json({ success: false, message: 'Report is not pending or does not exist' });
+    }
+
+    const user = await applyModerationAction({
+      userId: report.reportedUserId,
+      action,
+      actorId: req.user._id,
+      reason: note.trim() || `Report ${report._id}: ${report.category}`,
+      suspendDays
+    });
+
+    const entry = await audit(req, report, AUDIT_ACTIONS[action], {
+      reason: note.trim(),
+      metadata: { resolution: action, suspendedUntil: user?.suspendedUntil || null }
+    });
+
+    report.resolution.suspendedUntil = action === 'suspend' ? user?.suspendedUntil : undefined;
+    report.resolution.auditLogId = entry?._id;
+    await report.save();
+
+    console.log(`🛡️ Report ${report._id} ${report.status} (${action}) by ${req.user._id}`);
+    return res.json({
+      success: true,
+      message: `Report ${report.status}`,
+      report,
+      user: user ? { id: user._id, status: user.status, warningCount: user.warningCount, suspendedUntil: user.suspendedUntil } : null
+    });
+  } catch (err) {
+    console.error('resolveReport error:', err);
+    return res.status(500).json({ success: false, message: 'Failed to resolve report' });
+  }
+};
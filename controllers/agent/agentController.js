@@ -21,6 +21,7 @@ import SubUser from '../../models/SubUser.js';
 import AuditLog from '../../models/AuditLog.js';
 import User from '../../models/User.js';
 import Chat from '../../models/Chat.js';
+import Message from '../../models/Message.js';
 import { logAudit, getClientIp } from '../../middleware/common/auditLogger.js';
 
 /**
@@ -456,8 +457,10 @@ const getMonitoringChats = async (req, res) => {
 
 /**
  * @route   GET /api/agent/monitor/chat/:userId
- * @desc    Get full chat history for a specific user (read-only unless impersonating)
+ * @desc    Get chat history for a specific user (read-only unless impersonating)
  * @access  Private (Agent only)
+ *
+ * Each chat carries its most recent messages (?messageLimit=, default 50, max 200)
  */
 const getMonitoringChatDetail = async (req, res) => {
   try {
@@ -478,7 +481,17 @@ const getMonitoringChatDetail = async (req, res) => {
     })
       .populate('from', 'username displayName avatar')
       .populate('to', 'username displayName avatar')
-      .sort({ updatedAt: -1 });
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    const messageLimit = Math.min(200, Math.max(1, parseInt(req.query.messageLimit) || 50));
+    await Promise.all(chats.map(async (chat) => {
+      const recent = await Message.find({ chatId: chat._id })
+        .sort({ createdAt: -1 })
+        .limit(messageLimit)
+        .lean();
+      chat.messages = recent.reverse();
+    }));
 
     res.status(200).json({
       success: true,
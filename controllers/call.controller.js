@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import Call from "../models/Call.js";
+
+const CALL_TYPES = ["audio", "video"];
+const CALL_STATUSES = ["initiated", "ongoing", "ended", "missed"];
+
+const peerFields = "Name profilePic";
+
+// Shape a call from the point of view of the requesting user
+function formatCall(call, userId) {
+  const me = call.participants.find(p => p.userId?._id?.toString() === userId);
+  const peer = call.participants.find(p => p.userId?._id?.toString() !== userId)?.userId;
+  const isCaller = call.callerId ? call.callerId.toString() === userId : me?.role === "caller";
+
+  return {
+    id: call._id,
+    type: call.type,
+    status: call.status,
+    direction: isCaller ? "outgoing" : "incoming",
+    peer: peer ? {
+      id: peer._id,
+      name: peer.Name ? `${peer.Name.firstName} ${peer.Name.lastName}` : null,
+      profilePic: peer.profilePic || null
+    } : null,
+    startedAt: call.startedAt || null,
+    endedAt: call.endedAt || null,
+    endReason: call.endReason || null,
+    // ZEGO's session length is authoritative once it has been reported
+    duration: call.zegoData?.actualDuration || call.duration || 0,
+    recordingUrl: call.zegoData?.recording?.url || null,
+    createdAt: call.createdAt
+  };
+}
+
+// GET /api/calls?page=&limit=&type=&status=&peer=
+export const getCallHistory = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { type, status, peer } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { "participants.userId": userId };
+    if (type) {
+      if (!CALL_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, message: "Invalid call type" });
+      }
+      filter.type = type;
+    }
+    if (status) {
+      if (!CALL_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: "Invalid call status" });
+      }
+      filter.status = status;
+    }
+    if (peer) {
+      if (!mongoose.isValidObjectId(peer)) {
+        return res.status(400).json({ success: false, message: "Invalid peer id" });
+      }
+      filter["participants.userId"] = { $all: [userId, peer] };
+    }
+
+    const [calls, totalCount] = await Promise.all([
+      Call.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("participants.userId", peerFields)
+        .lean(),
+      Call.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      calls: calls.map(call => formatCall(call, userId)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNextPage: page * limit < totalCount,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error("getCallHistory error:", err);
+    return res.status(500).json({ success: false, message: "Failed to fetch call history" });
+  }
+};
+
+// GET /api/calls/:id
+export const getCallById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid call id" });
+    }
+
+    const call = await Call.findOne({ _id: id, "participants.userId": userId })
+      .populate("participants.userId", peerFields)
+      .lean();
+    if (!call) return res.status(404).json({ success: false, message: "Call not found" });
+
+    return res.json({ success: true, call: formatCall(call, userId) });
+  } catch (err) {
+    console.error("getCallById error:", err);
+    return res.status(500).json({ success: false, message: "Failed to fetch call" });
+  }
+};
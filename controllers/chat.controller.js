@@ -3,6 +3,23 @@ import Chat from "../models/Chat.js";
 import Subscription from "../models/Subscription.js";
 import Plan from "../models/Plan.js";
 import { onlineUsers, generateRoomId } from "../sockets/chat.namespace.js";
+import { notifyMessage } from "../services/notificationService.js";
+import { isBlockedBetween, sendBlockedError } from "../utils/blockList.js";
+import { toAttachment, normalizeAttachments } from "../utils/chatAttachments.js";
+import { consume, release, sendEntitlementError } from "../services/entitlementService.js";
+import {
+  findChatBetween,
+  saveMessage,
+  getMessagePage,
+  getUnreadCounts,
+  editMessage,
+  unsendMessage,
+  hideMessage,
+  toMessageEvent,
+  findUserMessage,
+  resolveReplyTo,
+  toggleReaction
+} from "../services/messageService.js";
 
 // Socket.IO instance will be set from server.js
 let io;
@@ -49,14 +66,33 @@ const validateBothUsersSubscription = async (userId1, userId2) => {
 export const sendMessage = async (req, res) => {
   try {
     const from = req.user.id;
-    const { to, message } = req.body;
+    const { to } = req.body;
+    const text = typeof req.body.message === "string" ? req.body.message.trim() : "";
 
     // 🚫 Validate input
     if (!to) {
       return res.status(400).json({ success: false, message: "Recipient (to) is required" });
     }
-    if (!message?.trim()) {
-      return res.status(400).json({ success: false, message: "Message text is required" });
+    const { attachments, error: attachmentError } = normalizeAttachments(req.body.attachments);
+    if (attachmentError) {
+      return res.status(400).json({ success: false, message: attachmentError });
+    }
+    if (!text && !attachments.length) {
+      return res.status(400).json({ success: false, message: "Message text or an attachment is required" });
+    }
+
+    if (await isBlockedBetween(from, to)) {
+      return sendBlockedError(res);
+    }
+
+    // ↪️ Quoted reply to an earlier message of this conversation
+    let replyTo = null;
+    if (req.body.replyTo) {
+      const quoted = await resolveReplyTo(from, to, req.body.replyTo);
+      if (quoted.error) {
+        return res.status(quoted.status).json({ success: false, message: quoted.error });
+      }
+      replyTo = quoted.replyTo;
     }
 
     // ✅ Validate both users have active subscriptions (unless bypassed)
@@ -69,8 +105,8 @@ export const sendMessage = async (req, res) => {
       });
     }
 
-    // 🔑 Generate petitionId
-    const petitionId = "MSG" + uuidv4().slice(0, 5);
+    // 🔑 Generate petitionId (acks refer to it; edits, replies etc. use the message id)
+    const petitionId = "MSG" + uuidv4();
 
     // 1️⃣ Fetch sender's subscription
     let subscription = await Subscription.findOne({ userId: from }).populate("planId").exec();
@@ -105,29 +141,25 @@ export const sendMessage = async (req, res) => {
       }
     }
 
-    // 5️⃣ Save message to database
-    let chat = await Chat.findOne({
-      $or: [
-        { from, to },
-        { from: to, to: from }
-      ]
-    });
-    
-    if (!chat) {
-      chat = await Chat.create({ from, to, messages: [] });
+    // 4️⃣ Attachments count against the plan's media allowance
+    let mediaGrant = null;
+    if (attachments.length) {
+      mediaGrant = await consume(from, 'media', attachments.length);
+      if (!mediaGrant.ok) {
+        return sendEntitlementError(res, mediaGrant);
+      }
     }
 
-    const newMessage = {
-      from,
-      to,
-      message: message.trim(),
-      petitionId,
-      createdAt: new Date(),
-      status: 'sent'
-    };
-
-    chat.messages.push(newMessage);
-    await chat.save();
+    // 5️⃣ Save message to database
+    let chat;
+    let saved;
+    try {
+      ({ chat, message: saved } = await saveMessage({ from, to, message: text, attachments, replyTo, petitionId }));
+    } catch (err) {
+      await release(from, 'media', mediaGrant);
+      throw err;
+    }
+    await notifyMessage({ fromUserId: from, toUserId: to, chatId: chat._id });
 
     // 6️⃣ Update subscription usage (total for entire subscription period)
     if (process.env.BYPASS_SUBSCRIPTION_CHECKS !== 'true') {
@@ -149,25 +181,23 @@ export const sendMessage = async (req, res) => {
     if (io) {
       const chatNsp = io.of('/chat');
       const messageObj = {
-        id: petitionId,
+        id: saved._id,
+        petitionId,
         from,
         to,
-        message: message.trim(),
+        message: text,
+        attachments,
+        replyTo,
         timestamp: new Date(),
         status: 'sent',
         senderName: `${req.user.Name?.firstName || 'User'} ${req.user.Name?.lastName || ''}`.trim(),
         senderProfilePic: req.user.profilePic
       };
 
-      // Send to receiver if online
+      // Send to receiver if online; delivery is confirmed by their ack
       const receiverOnline = onlineUsers.get(to);
       if (receiverOnline) {
         chatNsp.to(`user_${to}`).emit('new_message', messageObj);
-        
-        // Mark as delivered after a short delay
-        setTimeout(() => {
-          chatNsp.to(`user_${from}`).emit('message_delivered', { messageId: petitionId });
-        }, 100);
       }
 
       // Generate room ID for potential room-based messaging
@@ -180,12 +210,15 @@ export const sendMessage = async (req, res) => {
     return res.json({
       success: true,
       message: "Message sent successfully",
+      id: saved._id,
       petitionId,
-      sentMessage: message.trim(),
+      sentMessage: text,
+      attachments,
+      replyTo,
       messagesUsedTotal: subscription.messagesUsedTotal,
       remainingMessages: finalRemainingMessages,
       subscriptionEndDate: subscription.endDate,
-      deliveryStatus: onlineUsers.has(to) ? 'delivered' : 'pending'
+      deliveryStatus: 'sent'
     });
 
   } catch (err) {
@@ -194,78 +227,55 @@ export const sendMessage = async (req, res) => {
   }
 };
 
-export const getConversations = async (req, res) => {
+// 📎 Upload chat attachments; send the returned descriptors with the message
+// POST /api/chats/attachments  (multipart, up to 5 files in "files")
+export const uploadChatAttachments = async (req, res) => {
   try {
-    const senderId = req.user.id;  // logged in user
-    const { id: receiverId } = req.params; // other user id
-
-    if (!receiverId) {
-      return res.status(400).json({ success: false, message: "Receiver ID is required" });
-    }
-
-    // ✅ Find chat between sender & receiver only
-    const chat = await Chat.findOne({
-      $or: [
-        { from: senderId, to: receiverId },
-        { from: receiverId, to: senderId }
-      ]
-    })
-      .populate("messages.from", "name email profilePic")
-      .populate("messages.to", "name email profilePic");
-
-    if (!chat) {
-      return res.status(404).json({ success: false, message: "No chat found between these users" });
+    if (!req.files?.length) {
+      return res.status(400).json({ success: false, message: "No files uploaded" });
     }
 
-    // Apply per-user clear filter
-    const clearedAt = chat.clearedAt?.get?.(senderId) || null;
-    const filtered = clearedAt
-      ? chat.messages.filter(m => new Date(m.createdAt) > new Date(clearedAt))
-      : chat.messages;
-
-    res.json({
+    return res.json({
       success: true,
-      messages: filtered,
+      message: "Attachments uploaded",
+      attachments: req.files.map(toAttachment)
     });
   } catch (err) {
-    console.error("❌ getMessages error:", err);
-    res.status(500).json({ success: false, message: "Failed to fetch messages" });
+    console.error("❌ uploadChatAttachments error:", err);
+    res.status(500).json({ success: false, message: "Failed to upload attachments" });
   }
 };
 
-// Get chat messages between logged-in user and another user
+// Get chat messages between logged-in user and another user, newest page first
+// GET /api/chats/messages/:id?before=<messageId|ISO date>&limit=
 export const getMessages = async (req, res) => {
   try {
     const senderId = req.user.id;  // logged in user
     const { id: receiverId } = req.params; // other user id
+    const { before, limit } = req.query;
 
     if (!receiverId) {
       return res.status(400).json({ success: false, message: "Receiver ID is required" });
     }
 
     // ✅ Find chat between sender & receiver only
-    const chat = await Chat.findOne({
-      $or: [
-        { from: senderId, to: receiverId },
-        { from: receiverId, to: senderId }
-      ]
-    })
-      .populate("messages.from", "name email profilePic")
-      .populate("messages.to", "name email profilePic");
-
+    const chat = await findChatBetween(senderId, receiverId);
     if (!chat) {
       return res.status(404).json({ success: false, message: "No chat found between these users" });
     }
 
-    // Apply per-user clear filter
-    const clearedAt = chat.clearedAt?.get?.(senderId) || null;
-    const filtered = clearedAt
-      ? chat.messages.filter(m => new Date(m.createdAt) > new Date(clearedAt))
-      : chat.messages;
+    const page = await getMessagePage(chat, senderId, { before: before && String(before), limit });
+    if (page.error) {
+      return res.status(400).json({ success: false, message: page.error });
+    }
 
     res.json({
       success: true,
-      messages: filtered,
+      messages: page.messages,
+      pagination: {
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      }
     });
   } catch (err) {
     console.error("❌ getMessages error:", err);
@@ -273,6 +283,9 @@ export const getMessages = async (req, res) => {
   }
 };
 
+// Same as getMessages, kept for the /conversations/:id route
+export const getConversations = (req, res) => getMessages(req, res);
+
 // ✅ Clear chat history for current user only (per-user view)
 export const clearChatHistory = async (req, res) => {
   try {
@@ -305,6 +318,127 @@ export const clearChatHistory = async (req, res) => {
   }
 };
 
+// Push a message change to both participants' rooms on /chat (peer and the user's other tabs)
+const emitMessageChange = (event, message) => {
+  if (!io) return;
+  io.of('/chat')
+    .to([`user_${message.from}`, `user_${message.to}`])
+    .emit(event, toMessageEvent(message));
+};
+
+// ✏️ Edit own message within the edit window
+// PATCH /api/chats/message/:messageId  { message }
+export const editChatMessage = async (req, res) => {
+  try {
+    const result = await editMessage(req.user.id, req.params.messageId, req.body.message);
+    if (result.code === 'BLOCKED') return sendBlockedError(res);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    emitMessageChange('message:edited', result.message);
+    return res.json({ success: true, message: "Message edited", data: toMessageEvent(result.message) });
+  } catch (err) {
+    console.error("❌ editChatMessage error:", err);
+    res.status(500).json({ success: false, message: "Failed to edit message" });
+  }
+};
+
+// ↩️ Unsend own message for everyone (leaves a tombstone)
+// POST /api/chats/message/:messageId/unsend
+export const unsendChatMessage = async (req, res) => {
+  try {
+    const result = await unsendMessage(req.user.id, req.params.messageId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    emitMessageChange('message:unsent', result.message);
+    return res.json({ success: true, message: "Message unsent", data: toMessageEvent(result.message) });
+  } catch (err) {
+    console.error("❌ unsendChatMessage error:", err);
+    res.status(500).json({ success: false, message: "Failed to unsend message" });
+  }
+};
+
+// 🗑️ Delete a message for the current user only
+// DELETE /api/chats/message/:messageId
+export const deleteMessageForMe = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await hideMessage(userId, req.params.messageId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    // Only the user's own tabs need to know
+    if (io) {
+      io.of('/chat').to(`user_${userId}`).emit('message:deleted', {
+        id: result.message._id,
+        messageId: result.message.petitionId || result.message._id
+      });
+    }
+    return res.json({ success: true, message: "Message deleted for you" });
+  } catch (err) {
+    console.error("❌ deleteMessageForMe error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete message" });
+  }
+};
+
+// ↪️ Reply to a message, quoting it; same body and limits as /send
+// POST /api/chats/message/:messageId/reply  { message?, attachments? }
+export const replyToMessage = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const quoted = await findUserMessage(userId, req.params.messageId);
+    if (!quoted) {
+      return res.status(404).json({ success: false, message: "Message not found" });
+    }
+
+    // The reply goes to the other participant of the quoted message
+    const to = quoted.from.toString() === userId ? quoted.to.toString() : quoted.from.toString();
+    req.body = { ...req.body, to, replyTo: quoted._id.toString() };
+    return sendMessage(req, res);
+  } catch (err) {
+    console.error("❌ replyToMessage error:", err);
+    res.status(500).json({ success: false, message: "Failed to send reply" });
+  }
+};
+
+// 😀 Add or remove the user's emoji reaction on a message
+// POST /api/chats/message/:messageId/react  { emoji }
+export const reactToMessage = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { emoji } = req.body;
+    const result = await toggleReaction(userId, req.params.messageId, emoji);
+    if (result.code === 'BLOCKED') return sendBlockedError(res);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const { message, added } = result;
+    const payload = {
+      ...toMessageEvent(message),
+      reaction: { userId, emoji, added }
+    };
+    if (io) {
+      io.of('/chat')
+        .to([generateRoomId(message.from.toString(), message.to.toString()), `user_${message.from}`, `user_${message.to}`])
+        .emit('message:reaction', payload);
+    }
+
+    return res.json({
+      success: true,
+      message: added ? "Reaction added" : "Reaction removed",
+      data: payload
+    });
+  } catch (err) {
+    console.error("❌ reactToMessage error:", err);
+    res.status(500).json({ success: false, message: "Failed to update reaction" });
+  }
+};
+
 // Get list of online users
 export const getOnlineUsers = async (req, res) => {
   try {
@@ -343,8 +477,6 @@ export const getAllConversations = async (req, res) => {
     })
       .populate("from", "name email profilePic Name")
       .populate("to", "name email profilePic Name")
-      .populate("messages.from", "name email profilePic Name")
-      .populate("messages.to", "name email profilePic Name")
       .sort({ updatedAt: -1 }); // Sort by most recent conversation first
 
     // Allow empty state as success (avoid frontend 404 spam)
@@ -359,11 +491,14 @@ export const getAllConversations = async (req, res) => {
       });
     }
 
+    const unreadCounts = await getUnreadCounts(userId, chats);
+
     // Transform the data to include conversation partners and last message
     const conversations = chats.map(chat => {
       const otherUser = chat.from._id.toString() === userId ? chat.to : chat.from;
-      const lastMessage = chat.messages.length > 0 ? chat.messages[chat.messages.length - 1] : null;
-      
+      const lastMessage = chat.lastMessage;
+      const sender = lastMessage && (lastMessage.from?.toString() === chat.from._id.toString() ? chat.from : chat.to);
+
       return {
         chatId: chat._id,
         otherUser: {
@@ -374,11 +509,13 @@ export const getAllConversations = async (req, res) => {
         },
         lastMessage: lastMessage ? {
           message: lastMessage.message,
-          from: lastMessage.from._id,
+          from: lastMessage.from,
           createdAt: lastMessage.createdAt,
-          senderName: lastMessage.from.name || lastMessage.from.Name?.firstName
+          unsentAt: lastMessage.unsentAt || null,
+          senderName: sender.name || sender.Name?.firstName
         } : null,
-        messageCount: chat.messages.length,
+        messageCount: chat.messageCount || 0,
+        unreadCount: unreadCounts.get(chat._id.toString()) || 0,
         isActive: chat.isActive,
         status: chat.status,
         updatedAt: chat.updatedAt
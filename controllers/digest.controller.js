@@ -0,0 +1,53 @@
+import User from "../models/User.js";
+import { verifyUnsubscribeToken } from "../services/digestService.js";
+
+const page = (title, body) => `
+  <html><body style="font-family: Arial, sans-serif; text-align: center; padding: 40px; color: #333;">
+    <h2>${title}</h2><p>${body}</p>
+  </body></html>`;
+
+const invalidLink = (res) =>
+  res.status(400).send(page("Invalid link", "This unsubscribe link is invalid or has been tampered with."));
+
+// GET /api/user/digest/unsubscribe?token=
+// Only asks for confirmation: mail scanners and link previews follow GET links
+export const confirmUnsubscribeDigest = async (req, res) => {
+  try {
+    const token = req.query.token;
+    if (!token || !verifyUnsubscribeToken(token)) return invalidLink(res);
+
+    return res.status(200).send(page(
+      "Unsubscribe from digest emails?",
+      `You'll stop receiving daily or weekly ShyEyes summaries.
+      <form method="POST" action="${req.baseUrl}${req.path}?token=${encodeURIComponent(token)}">
+        <button type="submit" style="margin-top: 20px; padding: 10px 24px;">Unsubscribe</button>
+      </form>`
+    ));
+  } catch (err) {
+    console.error("confirmUnsubscribeDigest error:", err);
+    return res.status(500).send(page("Something went wrong", "Please try again later."));
+  }
+};
+
+// POST /api/user/digest/unsubscribe?token=  (or token in the body)
+// Turns digests off; the signed token replaces login
+export const unsubscribeDigest = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    const userId = token ? verifyUnsubscribeToken(token) : null;
+    if (!userId) return invalidLink(res);
+
+    const user = await User.findByIdAndUpdate(userId, { $set: { "notificationPreferences.digest": "off" } });
+    if (!user) {
+      return res.status(404).send(page("Account not found", "We couldn't find the account for this link."));
+    }
+
+    return res.status(200).send(page(
+      "You're unsubscribed",
+      "You won't receive digest emails anymore. You can turn them back on from your profile settings."
+    ));
+  } catch (err) {
+    console.error("unsubscribeDigest error:", err);
+    return res.status(500).send(page("Something went wrong", "Please try again later."));
+  }
+};
@@ -502,6 +502,11 @@ import User from "../models/User.js";
 import Friendship from "../models/Friendship.js";
 import mongoose from "mongoose";
 import Like from "../models/Likes.js";
+import { notifyFriendRequest, notifyFriendAccepted } from "../services/notificationService.js";
+import { dissolveMatch } from "../services/matchService.js";
+import { consume, release, sendEntitlementError } from "../services/entitlementService.js";
+import { sendBlockedError } from "../utils/blockList.js";
+import { getSuggestions, dismissSuggestion } from "../services/suggestionService.js";
 
 export const toggleFriendRequest = async (req, res) => {
   try {
@@ -519,6 +524,9 @@ export const toggleFriendRequest = async (req, res) => {
     });
  
     if (existing) {
+      // Blocked either way: no requests in either direction
+      if (existing.status === "Blocked") return sendBlockedError(res);
+
       // Case 1: Cancel pending request (only sender can cancel)
       if (existing.status === "Pending" && existing.actionBy.toString() === fromUserId) {
         existing.status = "Cancelled";
@@ -533,10 +541,18 @@ export const toggleFriendRequest = async (req, res) => {
  
       // Case 2: Re-send after cancellation
       if (existing.status === "Cancelled") {
+        const grant = await consume(fromUserId, "friendRequests");
+        if (!grant.ok) return sendEntitlementError(res, grant);
         existing.status = "Pending";
         existing.actionBy = fromUserId;
         existing.sentAt = new Date();
-        await existing.save();
+        try {
+          await existing.save();
+        } catch (err) {
+          await release(fromUserId, "friendRequests", grant);
+          throw err;
+        }
+        await notifyFriendRequest({ fromUserId, toUserId, requestId: existing._id });
         return res.status(200).json({
           message: "Friend request re-sent",
           sent: true,
@@ -546,10 +562,18 @@ export const toggleFriendRequest = async (req, res) => {
  
       // Case 3: Re-send after rejection
       if (existing.status === "Rejected") {
+        const grant = await consume(fromUserId, "friendRequests");
+        if (!grant.ok) return sendEntitlementError(res, grant);
         existing.status = "Pending";
         existing.actionBy = fromUserId;
         existing.sentAt = new Date();
-        await existing.save();
+        try {
+          await existing.save();
+        } catch (err) {
+          await release(fromUserId, "friendRequests", grant);
+          throw err;
+        }
+        await notifyFriendRequest({ fromUserId, toUserId, requestId: existing._id });
         return res.status(200).json({
           message: "Friend request sent again after rejection",
           sent: true,
@@ -575,15 +599,25 @@ export const toggleFriendRequest = async (req, res) => {
     }
  
     // Case 6: No record, create fresh request
-    const request = await Friendship.create({
-      user1: fromUserId,
-      user2: toUserId,
-      actionBy: fromUserId,
-      status: "Pending",
-      sentAt: new Date()
-    });
+    const grant = await consume(fromUserId, "friendRequests");
+    if (!grant.ok) return sendEntitlementError(res, grant);
+
+    let request;
+    try {
+      request = await Friendship.create({
+        user1: fromUserId,
+        user2: toUserId,
+        actionBy: fromUserId,
+        status: "Pending",
+        sentAt: new Date()
+      });
+    } catch (err) {
+      // e.g. the other user's request landed first; don't charge for nothing
+      await release(fromUserId, "friendRequests", grant);
+      throw err;
+    }
  
-    await User.findByIdAndUpdate(fromUserId, { $inc: { "usage.requestsSent": 1 } });
+    await notifyFriendRequest({ fromUserId, toUserId, requestId: request._id });
  
     res.status(201).json({
       message: "Friend request sent",
@@ -665,6 +699,9 @@ export const acceptFriendRequest = async (req, res) => {
     request.status = "Accepted";
     request.actionBy = userId;
     await request.save();
+
+    // Let the original sender know
+    await notifyFriendAccepted({ fromUserId: userId, toUserId: fromUserId, requestId: request._id });
  
     res.status(200).json({ message: "Friend request accepted", accepted: true });
   } catch (err) {
@@ -854,6 +891,11 @@ export const toggleBlockUser = async (req, res) => {
         blocked: false
       });
     }
+
+    // Blocked by the other user: don't take over (and later lift) their block
+    if (relationship && relationship.status === "Blocked") {
+      return sendBlockedError(res);
+    }
  
     // ✅ Case 2: Not blocked yet → Block
     if (relationship) {
@@ -868,6 +910,9 @@ export const toggleBlockUser = async (req, res) => {
         actionBy: userId
       });
     }
+
+    // A block ends any match between the two
+    await dissolveMatch(userId, targetId, "block");
  
     return res.status(200).json({
       message: "User blocked successfully",
@@ -919,4 +964,42 @@ export const getBlockedUsers = async (req, res) => {
     console.error("getBlockedUsers error:", err);
     return res.status(500).json({ message: "Server error", error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// GET /api/friends/suggestions?page=&limit=
+export const getFriendSuggestions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const result = await getSuggestions(userId, { page, limit });
+    if (!result) return res.status(404).json({ message: "User not found" });
+
+    return res.status(200).json({ suggestions: result.suggestions, page, limit, hasMore: result.hasMore });
+  } catch (err) {
+    console.error("getFriendSuggestions error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// POST /api/friends/suggestions/:id/dismiss
+export const dismissFriendSuggestion = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const targetId = req.params.id;
+
+    if (!mongoose.isValidObjectId(targetId))
+      return res.status(400).json({ message: "Invalid user id" });
+    if (userId === targetId)
+      return res.status(400).json({ message: "Cannot dismiss yourself" });
+
+    const dismissed = await dismissSuggestion(userId, targetId);
+    if (!dismissed) return res.status(404).json({ message: "User not found" });
+
+    return res.status(200).json({ message: "Suggestion dismissed", dismissed: true });
+  } catch (err) {
+    console.error("dismissFriendSuggestion error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
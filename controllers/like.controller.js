@@ -1,5 +1,9 @@
 import Like from "../models/Likes.js";
-import Notification from "../models/Notification.js";
+import Match from "../models/Match.js";
+import { notifyLike } from "../services/notificationService.js";
+import { createMatch, dissolveMatch } from "../services/matchService.js";
+import { consume, release, sendEntitlementError } from "../services/entitlementService.js";
+import { isBlockedBetween, sendBlockedError } from "../utils/blockList.js";
 import User from "../models/User.js";
 import Friendship from "../models/Friendship.js";
 
@@ -86,6 +90,7 @@ export const toggleLikeProfile = async (req, res) => {
       // ✅ Already liked → unlike
       await Like.findOneAndDelete({ liker: userId, liked: likedUserId });
       await User.findByIdAndUpdate(likedUserId, { $inc: { likeCount: -1 } });
+      await dissolveMatch(userId, likedUserId, "unlike");
  
       return res.status(200).json({
         message: "Profile unliked successfully",
@@ -93,19 +98,51 @@ export const toggleLikeProfile = async (req, res) => {
       });
     } else {
       // ✅ Not liked yet → like
-      const like = await Like.create({ liker: userId, liked: likedUserId });
-      await User.findByIdAndUpdate(likedUserId, { $inc: { likeCount: 1 } });
- 
-      // Check for mutual like (match)
+      if (await isBlockedBetween(userId, likedUserId)) return sendBlockedError(res);
+
+      // A like that completes a mutual pair also spends one of the liker's matches
       const mutual = await Like.findOne({ liker: likedUserId, liked: userId });
       const isMatch = !!mutual;
+
+      const matchGrant = isMatch ? await consume(userId, "matches") : null;
+      if (matchGrant && !matchGrant.ok) return sendEntitlementError(res, matchGrant);
+
+      const likeGrant = await consume(userId, "likes");
+      if (!likeGrant.ok) {
+        if (matchGrant) await release(userId, "matches", matchGrant);
+        return sendEntitlementError(res, likeGrant);
+      }
+
+      let like;
+      try {
+        like = await Like.create({ liker: userId, liked: likedUserId });
+      } catch (err) {
+        await release(userId, "likes", likeGrant);
+        await release(userId, "matches", matchGrant);
+        throw err;
+      }
+      await User.findByIdAndUpdate(likedUserId, { $inc: { likeCount: 1 } });
+      await notifyLike({ fromUserId: userId, toUserId: likedUserId, likeId: like._id });
+ 
+      let matchResult = null;
+      if (isMatch) {
+        try {
+          matchResult = await createMatch(userId, likedUserId);
+        } catch (err) {
+          // The like itself went through, so only the match is given back
+          await release(userId, "matches", matchGrant);
+          throw err;
+        }
+      }
+      // A pair that is already matched doesn't cost another match
+      if (matchResult && !matchResult.created) await release(userId, "matches", matchGrant);
  
       return res.status(201).json({
         message: "Profile liked successfully",
         liked: true,
         like,
-        match: isMatch
-        
+        match: isMatch,
+        matchId: matchResult?.match?._id || null
       });
     }
   } catch (err) {
@@ -239,4 +276,47 @@ export const getMyFavourites = async (req, res) => {
     console.error("getMyFavourites error:", err);
     res.status(500).json({ message: "Server error" });
   }
-};
\ No newline at end of file
+};
+
+
+// GET /api/likes/matches?page=&limit=
+// Mutual likes only; the discovery feed lives in getMatches (/api/user/matches)
+export const getMyMatches = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { status: "active", $or: [{ user1: userId }, { user2: userId }] };
+    const [matches, totalCount] = await Promise.all([
+      Match.find(filter)
+        .sort({ matchedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("user1 user2", "Name age location status profilePic")
+        .lean(),
+      Match.countDocuments(filter)
+    ]);
+
+    const results = matches
+      .map(match => {
+        const peer = match.user1?._id?.toString() === userId ? match.user2 : match.user1;
+        return peer ? { matchId: match._id, matchedAt: match.matchedAt, user: peer } : null;
+      })
+      .filter(Boolean);
+
+    res.status(200).json({
+      matches: results,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNextPage: page * limit < totalCount,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error("getMyMatches error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -1,14 +1,15 @@
 import Notification from "../models/Notification.js";
+import { notify, markRead, markAllRead, removeNotification, clearAll, getUnreadCount } from "../services/notificationService.js";
 
 // ➕ Create Notification
 export const createNotification = async (req, res) => {
   try {
-    const { userId, type, title = "", text } = req.body;
+    const { userId, type, text } = req.body;
     if (!userId || !type || !text) {
       return res.status(400).json({ success: false, message: "userId, type, and text are required" });
     }
 
-    const notification = await Notification.create({ userId, type, title, text, isRead: false });
+    const notification = await notify({ userId, type, text });
     return res.status(201).json({ success: true, notification });
   } catch (err) {
     console.error("createNotification error:", err);
@@ -20,8 +21,11 @@ export const createNotification = async (req, res) => {
 export const getNotifications = async (req, res) => {
   try {
     const userId = req.user.id;
-    const notifications = await Notification.find({ userId }).sort({ createdAt: -1 }).lean();
-    return res.json({ success: true, notifications });
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find({ userId }).sort({ createdAt: -1 }).lean(),
+      getUnreadCount(userId)
+    ]);
+    return res.json({ success: true, notifications, unreadCount });
   } catch (err) {
     console.error("getNotifications error:", err);
     return res.status(500).json({ success: false, message: "Failed to fetch notifications" });
@@ -34,7 +38,7 @@ export const markAsRead = async (req, res) => {
     const { id } = req.params;
     if (!id) return res.status(400).json({ success: false, message: "Notification ID is required" });
 
-    const notification = await Notification.findByIdAndUpdate(id, { isRead: true }, { new: true });
+    const notification = await markRead(req.user.id, id);
     if (!notification) return res.status(404).json({ success: false, message: "Notification not found" });
 
     return res.json({ success: true, notification });
@@ -44,13 +48,24 @@ export const markAsRead = async (req, res) => {
   }
 };
 
+// ✅ Mark All as Read
+export const markAllAsRead = async (req, res) => {
+  try {
+    const updated = await markAllRead(req.user.id);
+    return res.json({ success: true, updated, unreadCount: 0 });
+  } catch (err) {
+    console.error("markAllAsRead error:", err);
+    return res.status(500).json({ success: false, message: "Failed to mark notifications as read" });
+  }
+};
+
 // ❌ Delete Notification
 export const deleteNotification = async (req, res) => {
   try {
     const { id } = req.params;
     if (!id) return res.status(400).json({ success: false, message: "Notification ID is required" });
 
-    const deleted = await Notification.findByIdAndDelete(id);
+    const deleted = await removeNotification(req.user.id, id);
     if (!deleted) return res.status(404).json({ success: false, message: "Notification not found" });
 
     return res.json({ success: true, message: "Notification deleted" });
@@ -63,8 +78,7 @@ export const deleteNotification = async (req, res) => {
 // ❌ Clear All Notifications
 export const clearNotifications = async (req, res) => {
   try {
-    const userId = req.user.id;
-    await Notification.deleteMany({ userId });
+    await clearAll(req.user.id);
     return res.json({ success: true, message: "All notifications cleared" });
   } catch (err) {
     console.error("clearNotifications error:", err);
@@ -1,5 +1,8 @@
+import { v4 as uuidv4 } from 'uuid';
 import Plan from '../models/Plan.js';
+import Payment from '../models/Payment.js';
 import { createOrReplaceSubscription } from './subscription.controller.js';
+import paymentService from '../services/paymentService.js';
 
 // Evaluate bypass at request-time to avoid dotenv load-order issues
 const isBypass = () => {
@@ -7,6 +10,23 @@ const isBypass = () => {
   return val === 'true' || val === '1' || val === 'yes';
 };
 
+// A refunded or charged-back order no longer pays for anything; verifying it
+// again reports that instead of the subscription it once granted
+const REVERSED_STATUSES = {
+  refunded: ['PAYMENT_REFUNDED', 'This payment was refunded and no longer grants a subscription'],
+  chargeback: ['PAYMENT_CHARGED_BACK', 'This payment was charged back and no longer grants a subscription']
+};
+
+const sendReversedPayment = (res, payment) => {
+  const [code, message] = REVERSED_STATUSES[payment.status];
+  return res.status(409).json({
+    success: false,
+    code,
+    message,
+    payment: { orderId: payment.orderId, status: payment.status, refundedAmount: payment.refundedAmount }
+  });
+};
+
 // POST /api/payments/checkout
 // Body: { planId }
 export const createCheckout = async (req, res) => {
@@ -29,19 +49,33 @@ export const createCheckout = async (req, res) => {
     }
     if (isBypass()) {
       // Return a fake order that frontend can treat as created
+      const order = { id: `order_mock_${uuidv4()}`, amount: plan.price, currency: 'INR' };
+      await paymentService.recordOrder({ order, plan, userId: req.user.id, provider: 'bypass' });
       return res.json({
         success: true,
         order: {
-          id: `order_mock_${Date.now()}`,
-          amount: plan.price,
-          currency: 'INR',
+          ...order,
           planId: plan._id,
         },
         bypass: true
       });
     }
-    // TODO: integrate Razorpay order creation here when enabling gateway
-    return res.status(501).json({ success: false, message: 'Real gateway not enabled yet' });
+    if (!paymentService.isGatewayEnabled()) {
+      return res.status(503).json({ success: false, message: 'Payment gateway is not configured' });
+    }
+
+    const order = await paymentService.createOrder({ plan, userId: req.user.id });
+    await paymentService.recordOrder({ order, plan, userId: req.user.id, provider: order.provider });
+    return res.json({
+      success: true,
+      order: {
+        id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        planId: plan._id,
+      },
+      gateway: paymentService.getPublicConfig()
+    });
   } catch (err) {
     console.error('createCheckout error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -53,7 +87,7 @@ export const createCheckout = async (req, res) => {
 export const verifyPayment = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { planId } = req.body;
+    const { planId, orderId, paymentId, signature } = req.body;
     const plan = await Plan.findById(planId);
     if (!plan) return res.status(404).json({ success: false, message: 'Plan not found' });
 
@@ -64,14 +98,132 @@ export const verifyPayment = async (req, res) => {
     }
 
     if (isBypass()) {
-      // Directly grant subscription
+      // Bypass orders from /checkout go through the ledger; older clients without one are granted directly
+      if (orderId) {
+        const payment = await Payment.findOne({ orderId, userId });
+        if (!payment) return res.status(404).json({ success: false, message: 'Order not found' });
+        if (REVERSED_STATUSES[payment.status]) return sendReversedPayment(res, payment);
+        const { subscription, alreadyProcessed } = await paymentService.grantPayment({ orderId });
+        return res.json({ success: true, message: 'Payment bypassed, subscription granted', subscription, alreadyProcessed, bypass: true });
+      }
       const subscription = await createOrReplaceSubscription(userId, plan, plan.price);
       return res.json({ success: true, message: 'Payment bypassed, subscription granted', subscription, bypass: true });
     }
-    // TODO: verify Razorpay signature and payment status, then grant
-    return res.status(501).json({ success: false, message: 'Real gateway not enabled yet' });
+    if (!paymentService.isGatewayEnabled()) {
+      return res.status(503).json({ success: false, message: 'Payment gateway is not configured' });
+    }
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({ success: false, message: 'orderId, paymentId and signature are required' });
+    }
+
+    const payment = await Payment.findOne({ orderId, userId });
+    if (!payment) return res.status(404).json({ success: false, message: 'Order not found' });
+
+    if (REVERSED_STATUSES[payment.status]) return sendReversedPayment(res, payment);
+
+    // Repeated verify calls for an order that was already granted return the original subscription
+    if (payment.status !== 'created' && payment.status !== 'failed') {
+      const { subscription } = await paymentService.grantPayment({ orderId });
+      return res.json({ success: true, message: 'Payment already verified', subscription, alreadyProcessed: true });
+    }
+
+    // Only grant the subscription once the provider confirms the payment
+    const result = await paymentService.verifyCheckout({ orderId, paymentId, signature, plan, userId });
+    if (!result.ok) {
+      // The payment.captured webhook grants the plan once the capture goes through
+      if (result.code === 'PAYMENT_PENDING') {
+        return res.status(202).json({ success: false, code: result.code, message: 'Payment is being processed; your plan activates once it is captured' });
+      }
+      if (result.code === 'PAYMENT_NOT_CAPTURED') {
+        await paymentService.markPaymentFailed({ orderId, providerPaymentId: paymentId, reason: result.message });
+      }
+      return res.status(400).json({ success: false, code: result.code, message: result.message });
+    }
+
+    const { subscription, alreadyProcessed } = await paymentService.grantPayment({ orderId, providerPaymentId: paymentId });
+    return res.json({ success: true, message: 'Payment verified, subscription granted', subscription, alreadyProcessed });
   } catch (err) {
     console.error('verifyPayment error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 };
+
+// GET /api/payments/history
+export const getMyPayments = async (req, res) => {
+  try {
+    const payments = await Payment.find({ userId: req.user.id })
+      .select('-refunds.recordedBy')
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json({ success: true, payments });
+  } catch (err) {
+    console.error('getMyPayments error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// POST /api/payments/:orderId/refund (admin)
+// Body: { amount?, type?: 'refund'|'chargeback', providerRefundId?, reason? }
+export const recordRefund = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, type = 'refund', providerRefundId, reason } = req.body;
+
+    if (!['refund', 'chargeback'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'Invalid refund type' });
+    }
+    if (amount != null && (!Number.isFinite(Number(amount)) || Number(amount) <= 0)) {
+      return res.status(400).json({ success: false, message: 'Refund amount must be a positive number' });
+    }
+
+    const existing = await Payment.findOne({ orderId });
+    if (!existing) return res.status(404).json({ success: false, message: 'Payment not found' });
+    if (!['paid', 'partially_refunded'].includes(existing.status)) {
+      return res.status(400).json({ success: false, message: `Cannot refund a payment with status ${existing.status}` });
+    }
+
+    const { payment, recorded } = await paymentService.recordRefund({
+      orderId,
+      amount,
+      type,
+      providerRefundId,
+      reason,
+      recordedBy: req.user._id
+    });
+
+    if (recorded) await paymentService.revokeRefundedSubscription(payment);
+
+    return res.json({
+      success: true,
+      message: recorded ? 'Refund recorded' : 'Refund already recorded',
+      payment
+    });
+  } catch (err) {
+    console.error('recordRefund error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// POST /api/payments/webhook (called by the payment provider, not the client)
+export const handleWebhook = async (req, res) => {
+  try {
+    const result = await paymentService.handleWebhook({
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+
+    if (!result.ok && result.code === 'INVALID_SIGNATURE') {
+      console.warn('Payment webhook signature verification failed');
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+    if (!result.ok) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook body' });
+    }
+
+    return res.json({ success: true, duplicate: !!result.duplicate });
+  } catch (err) {
+    // Non-2xx makes the provider redeliver the event later
+    console.error('handleWebhook error:', err);
+    res.status(500).json({ success: false, message: 'Webhook processing failed' });
+  }
+};
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+import Report, { REPORT_CATEGORIES } from "../models/Report.js";
+import User from "../models/User.js";
+import Message from "../models/Message.js";
+import { findChatBetween } from "../services/messageService.js";
+import { resolveMediaUrl } from "../utils/imageUrl.js";
+
+// POST /api/user/:id/report  { category, description?, petitionId?, photoUrl? }
+export const reportUser = async (req, res) => {
+  try {
+    const reporterId = req.user.id;
+    const reportedUserId = req.params.id;
+    const { category, description = "", petitionId, photoUrl } = req.body;
+
+    if (!mongoose.isValidObjectId(reportedUserId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+    if (reportedUserId === reporterId) {
+      return res.status(400).json({ success: false, message: "You cannot report yourself" });
+    }
+    if (!REPORT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ success: false, message: `category must be one of ${REPORT_CATEGORIES.join(", ")}` });
+    }
+    if (typeof description !== "string" || description.length > 1000) {
+      return res.status(400).json({ success: false, message: "description must be a string of at most 1000 characters" });
+    }
+    if (petitionId && photoUrl) {
+      return res.status(400).json({ success: false, message: "Report either a message or a photo, not both" });
+    }
+
+    const reported = await User.findById(reportedUserId).select("photos profilePic");
+    if (!reported) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const report = { reporterId, reportedUserId, category, description: description.trim(), targetType: "profile" };
+
+    if (petitionId) {
+      // Only messages the reported user sent to the reporter can be reported
+      const chat = await findChatBetween(reporterId, reportedUserId);
+      const message = chat && await Message.findOne({
+        chatId: chat._id,
+        petitionId: String(petitionId),
+        from: reportedUserId,
+        to: reporterId
+      }).lean();
+      if (!message) {
+        return res.status(404).json({ success: false, message: "Message not found" });
+      }
+      report.targetType = "message";
+      report.messagePetitionId = petitionId;
+      report.messageSnapshot = message.message || message.attachments.map(a => a.url).join(" ") || null;
+    } else if (photoUrl) {
+      const photos = [...(reported.photos || []), reported.profilePic].filter(Boolean);
+      const match = photos.find(p => p === photoUrl || resolveMediaUrl(p) === photoUrl);
+      if (!match) {
+        return res.status(404).json({ success: false, message: "Photo not found on this profile" });
+      }
+      report.targetType = "photo";
+      report.photoUrl = resolveMediaUrl(match);
+    }
+
+    // One open report per reporter and target is enough
+    const duplicate = await Report.findOne({
+      reporterId,
+      reportedUserId,
+      targetType: report.targetType,
+      messagePetitionId: report.messagePetitionId ?? null,
+      photoUrl: report.photoUrl ?? null,
+      status: { $in: ["open", "in_review"] }
+    });
+    if (duplicate) {
+      return res.status(409).json({ success: false, message: "You have already reported this", reportId: duplicate._id });
+    }
+
+    const created = await Report.create(report);
+    console.log(`🚩 Report ${created._id}: ${reporterId} reported ${reportedUserId} (${category})`);
+
+    return res.status(201).json({
+      success: true,
+      message: "Report submitted. Our team will review it",
+      reportId: created._id
+    });
+  } catch (err) {
+    console.error("reportUser error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -1,6 +1,7 @@
 import Plan from '../models/Plan.js';
 import Subscription from '../models/Subscription.js';
 import User from '../models/User.js';
+import { summarizeEntitlements } from '../services/entitlementService.js';
 const seedPlans = async () => {
   const count = await Plan.countDocuments();
   if (count === 0) {
@@ -13,7 +14,10 @@ const seedPlans = async () => {
           totalMessagesAllowed: 50,        // Total messages for entire subscription period
           totalAudioTimeSeconds: 5 * 60,   // 5 min total
           totalVideoTimeSeconds: 2 * 60,   // 2 min total
-          matchesAllowed: 5                // Limited matches
+          matchesAllowed: 5,               // Limited matches
+          likesAllowed: 30,
+          friendRequestsAllowed: 10,
+          mediaAllowed: 10
         }
       },
       {
@@ -24,7 +28,10 @@ const seedPlans = async () => {
           totalMessagesAllowed: 200,       // Total messages for entire subscription period
           totalAudioTimeSeconds: 10 * 60,  // 10 min total
           totalVideoTimeSeconds: 5 * 60,   // 5 min total
-          matchesAllowed: 10
+          matchesAllowed: 10,
+          likesAllowed: 100,
+          friendRequestsAllowed: 30,
+          mediaAllowed: 50
         }
       },
       {
@@ -35,7 +42,10 @@ const seedPlans = async () => {
           totalMessagesAllowed: 400,       // Total messages for entire subscription period
           totalAudioTimeSeconds: 20 * 60,  // 20 min total
           totalVideoTimeSeconds: 15 * 60,  // 15 min total
-          matchesAllowed: 20             // unlimited
+          matchesAllowed: 20,
+          likesAllowed: 250,
+          friendRequestsAllowed: 75,
+          mediaAllowed: 200
         }
       },
       {
@@ -46,7 +56,10 @@ const seedPlans = async () => {
           totalMessagesAllowed: 1000,      // Total messages for entire subscription period
           totalAudioTimeSeconds: 60 * 60,  // 60 min total
           totalVideoTimeSeconds: 60 * 60,  // 60 min total
-          matchesAllowed: null             // unlimited
+          matchesAllowed: null,            // unlimited
+          likesAllowed: null,
+          friendRequestsAllowed: null,
+          mediaAllowed: null
         }
       }
     ]);
@@ -102,6 +115,9 @@ const assignFreeSubscriptions = async () => {
           totalAudioUsed: 0,
           totalVideoUsed: 0,
           matchesAllowed: freePlan.limits?.matchesAllowed ?? null,
+          likesAllowed: freePlan.limits?.likesAllowed ?? null,
+          friendRequestsAllowed: freePlan.limits?.friendRequestsAllowed ?? null,
+          mediaAllowed: freePlan.limits?.mediaAllowed ?? null,
           // Copy plan limits to subscription
           messagesAllowed: freePlan.limits?.totalMessagesAllowed ?? null,
           audioTimeAllowed: freePlan.limits?.totalAudioTimeSeconds ?? 0,
@@ -137,11 +153,16 @@ export const createPlan = async (req, res) => {
       const n = Number(v);
       return Number.isFinite(n) && n >= 0 ? n : 0;
     };
+    // Match, like, friend request and media caps stay unlimited (null) when left blank
+    const toLimit = (v) => (v === null || v === undefined || v === '' ? null : toInt(v));
     const normalizedLimits = {
       totalMessagesAllowed: toInt(limits.totalMessagesAllowed ?? limits.messagesPerDay),
       totalAudioTimeSeconds: toInt(limits.totalAudioTimeSeconds ?? limits.audioTimeSeconds ?? (limits.audioTimeMinutes ? Number(limits.audioTimeMinutes) * 60 : undefined)),
       totalVideoTimeSeconds: toInt(limits.totalVideoTimeSeconds ?? limits.videoTimeSeconds ?? (limits.videoTimeMinutes ? Number(limits.videoTimeMinutes) * 60 : undefined)),
-      matchesAllowed: toInt(limits.matchesAllowed),
+      matchesAllowed: toLimit(limits.matchesAllowed),
+      likesAllowed: toLimit(limits.likesAllowed),
+      friendRequestsAllowed: toLimit(limits.friendRequestsAllowed),
+      mediaAllowed: toLimit(limits.mediaAllowed),
     };
 
     const plan = await Plan.create({
@@ -255,7 +276,7 @@ export const checkRemainingPlan = async (req, res) => {
       totalMessagesAllowed: allowedMessages,
       totalAudioTimeSeconds: allowedAudio,
       totalVideoTimeSeconds: allowedVideo,
-      matchesAllowed: planLimits.matchesAllowed ?? 0,
+      matchesAllowed: planLimits.matchesAllowed ?? null,
     };
 
     const result = {
@@ -398,6 +419,9 @@ export const createOrReplaceSubscription = async (userId, plan, amount = 0) => {
     totalAudioUsed: 0,
     totalVideoUsed: 0,
     matchesAllowed: plan.limits?.matchesAllowed ?? null,
+    likesAllowed: plan.limits?.likesAllowed ?? null,
+    friendRequestsAllowed: plan.limits?.friendRequestsAllowed ?? null,
+    mediaAllowed: plan.limits?.mediaAllowed ?? null,
     messagesAllowed: plan.limits?.totalMessagesAllowed ?? null,
     audioTimeAllowed: plan.limits?.totalAudioTimeSeconds ?? 0,
     videoTimeAllowed: plan.limits?.totalVideoTimeSeconds ?? 0,
@@ -494,6 +518,7 @@ export const getMySubscription = async (req, res) => {
         _id: sub._id,
         planType: sub.planId?.planType,
         limits: sub.planId?.limits,
+        usage: summarizeEntitlements(sub),
         startDate: sub.startDate,
         endDate: sub.endDate,
       },
@@ -785,7 +810,8 @@ export const normalizePlanLimits = async (req, res) => {
     for (const plan of plans) {
       const limits = plan.limits || {};
       const normalized = { ...limits };
-      const fields = ['totalMessagesAllowed','totalVideoTimeSeconds','totalAudioTimeSeconds','matchesAllowed'];
+      // matchesAllowed is left alone: null there means unlimited
+      const fields = ['totalMessagesAllowed','totalVideoTimeSeconds','totalAudioTimeSeconds'];
       let changed = false;
       for (const f of fields) {
         if (normalized[f] === null || normalized[f] === undefined) {
@@ -1,4 +1,7 @@
 import Subscription from "../models/Subscription.js";
+import CallUsageSession from "../models/CallUsageSession.js";
+import { findCallForUser, isFinal } from "../services/callService.js";
+import { openSession, closeSession } from "../services/callUsageService.js";
 
 // Helper: get active subscription for a user
 async function getActiveSubscription(userId) {
@@ -62,97 +65,99 @@ async function ensureCallQuota(userId, type) {
   return { ok: true, remaining, sub };
 }
 
-// POST /api/usage/call/start { type: 'audio'|'video' }
+// POST /api/usage/call/start { callId }
+// Sessions open for every participant when the call is answered; this returns
+// that session, or opens one for a call joined some other way
 export async function startCallUsage(req, res) {
   try {
     const userId = req.user._id || req.user.id;
-    const { type } = req.body;
-    
-    console.log("🚀 startCallUsage called:", { 
-      userId: userId.toString(), 
-      userObject: req.user._id ? 'Has _id' : 'No _id',
-      type 
-    });
-    
-    if (!type || !["audio", "video"].includes(type)) {
-      console.log("❌ Invalid call type:", type);
-      return res.status(400).json({ success: false, message: "Invalid call type" });
+    const { callId, roomId } = req.body;
+
+    console.log("🚀 startCallUsage called:", { userId: userId.toString(), callId, roomId });
+
+    const call = await findCallForUser({ callId, roomId, userId });
+    if (!call) {
+      return res.status(404).json({ success: false, message: "Call not found" });
     }
-    
+    if (isFinal(call)) {
+      return res.status(409).json({ success: false, message: `Call is ${call.status}` });
+    }
+
+    // The call decides what is metered, not the client
+    const type = call.type;
     const check = await ensureCallQuota(userId, type);
-    console.log("🔍 Quota check result:", check);
-    
+    console.log("🔍 Quota check result:", { ok: check.ok, code: check.code, remaining: check.remaining });
+
     if (!check.ok) {
       console.log("❌ Quota check failed:", check.code);
       return res.status(403).json({ success: false, code: check.code, remainingSec: 0 });
     }
-    
-    console.log("✅ Call allowed, remaining seconds:", check.remaining);
-    return res.json({ success: true, remainingSec: check.remaining });
+
+    const session = await openSession({ userId, call, subscription: check.sub, remainingSec: check.remaining });
+
+    console.log("✅ Call allowed, remaining seconds:", session.maxSeconds);
+    return res.json({
+      success: true,
+      callId: call._id,
+      sessionId: session._id,
+      type,
+      remainingSec: session.maxSeconds
+    });
   } catch (err) {
     console.error("❌ startCallUsage error:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 }
 
-// POST /api/usage/call/stop { type: 'audio'|'video', elapsedSec }
+// POST /api/usage/call/stop { callId }
+// Duration is measured from server timestamps; any client elapsedSec is ignored.
+// While the call is still going this only reports usage: metering runs until
+// the call itself ends, whatever the client says.
 export async function stopCallUsage(req, res) {
   try {
     const userId = req.user._id || req.user.id;
-    const { type, elapsedSec } = req.body;
-    
-    console.log("🔄 stopCallUsage called:", { 
-      userId: userId.toString(), 
-      userObject: req.user._id ? 'Has _id' : 'No _id',
-      type, 
-      elapsedSec 
-    });
-    
-    if (!type || !["audio", "video"].includes(type)) {
-      console.log("❌ Invalid call type:", type);
-      return res.status(400).json({ success: false, message: "Invalid call type" });
+    const { callId, roomId } = req.body;
+
+    console.log("🔄 stopCallUsage called:", { userId: userId.toString(), callId, roomId });
+
+    const call = await findCallForUser({ callId, roomId, userId });
+    if (!call) {
+      return res.status(404).json({ success: false, message: "Call not found" });
     }
-    
-    const secs = Math.max(0, Math.floor(Number(elapsedSec || 0)));
-    console.log("⏱️ Processed elapsed seconds:", secs);
-    
-    if (secs > 0) {
-      const incField = type === "audio" 
-        ? { audioTimeUsedTotal: secs, totalAudioUsed: secs } 
-        : { videoTimeUsedTotal: secs, totalVideoUsed: secs };
-      
-      console.log("📊 Update fields:", incField);
-      console.log("🔍 Searching for userId:", userId.toString());
-      
-      const updateResult = await Subscription.findOneAndUpdate(
-        { userId: userId },
-        { $inc: incField },
-        { new: true } // Return updated document
-      );
-      
-      if (updateResult) {
-        console.log("✅ Subscription updated successfully:", {
-          userId: updateResult.userId.toString(),
-          audioTimeUsedTotal: updateResult.audioTimeUsedTotal,
-          videoTimeUsedTotal: updateResult.videoTimeUsedTotal,
-          totalAudioUsed: updateResult.totalAudioUsed,
-          totalVideoUsed: updateResult.totalVideoUsed
-        });
-      } else {
-        console.log("❌ No subscription found for userId:", userId.toString());
-        
-        // Let's also check if there are any subscriptions for this user with different query
-        const allUserSubs = await Subscription.find({ userId: userId });
-        console.log("🔍 All subscriptions for user:", allUserSubs.length);
-        if (allUserSubs.length > 0) {
-          console.log("📋 Found subscriptions:", allUserSubs.map(s => ({ id: s._id.toString(), userId: s.userId.toString() })));
-        }
-      }
-    } else {
-      console.log("⚠️ No time to update (elapsedSec <= 0)");
+
+    const open = await CallUsageSession.findOne({ userId, callId: call._id, status: "open" });
+    if (open && call.status === "ongoing") {
+      return res.json({
+        success: true,
+        callId: call._id,
+        type: open.type,
+        ongoing: true,
+        chargedSec: 0,
+        remainingSec: Math.max(0, open.maxSeconds - Math.round((Date.now() - open.startedAt.getTime()) / 1000))
+      });
     }
-    
-    return res.json({ success: true });
+    // Unanswered or already over: closing charges nothing past call.endedAt
+    let session = open ? await closeSession(open, { closedBy: "stop" }) : null;
+
+    // Already closed by the call ending, ZEGO or the sweeper: report what was charged
+    if (!session) {
+      session = await CallUsageSession.findOne({ userId, callId: call._id }).sort({ createdAt: -1 });
+    }
+    if (!session) {
+      return res.status(404).json({ success: false, message: "No usage session for this call" });
+    }
+
+    const sub = await getActiveSubscription(userId);
+    const allowed = session.type === "audio" ? (sub?.audioTimeAllowed ?? 0) : (sub?.videoTimeAllowed ?? 0);
+    const used = session.type === "audio" ? (sub?.audioTimeUsedTotal ?? 0) : (sub?.videoTimeUsedTotal ?? 0);
+
+    return res.json({
+      success: true,
+      callId: call._id,
+      type: session.type,
+      chargedSec: session.chargedSeconds,
+      remainingSec: Math.max(0, Number(allowed) - Number(used))
+    });
   } catch (err) {
     console.error("❌ stopCallUsage error:", err);
     return res.status(500).json({ success: false, message: "Server error" });
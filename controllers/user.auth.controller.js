@@ -3,8 +3,8 @@ import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 
-import { pendingUsers } from "../utils/pendingStore.js";
-import { generateOtp } from "../utils/gerateOtp.js";
+import { pendingUsers, passwordResets } from "../utils/pendingStore.js";
+import { issueOtp, checkOtp, MAX_OTP_ATTEMPTS } from "../utils/gerateOtp.js";
 import multer from "multer";
 import { getFriendshipAggregationStages } from "../utils/friendshipAggregation.js";
 import mongoose from "mongoose";
@@ -13,6 +13,28 @@ import fs from "fs/promises";
 import { sendMail } from "../utils/mailSender.js";
 import cloudinary from "../config/cloudinary.js";
 import { resolveMediaUrl } from "../utils/imageUrl.js";
+import { buildPreferenceUpdates } from "../utils/notificationPreferences.js";
+import { getBlockedUserIds, excludeBlockedStages } from "../utils/blockList.js";
+import { buildDiscoveryMatch, buildDiscoveryUpdates, buildGeoUpdates, MIN_AGE, MAX_AGE } from "../utils/discoveryPreferences.js";
+import { liftExpiredSuspension } from "../services/moderationService.js";
+
+// How long unverified registrations and password resets are kept
+const PENDING_REGISTRATION_TTL_SEC = 30 * 60;
+const PASSWORD_RESET_TTL_SEC = 15 * 60;
+
+const OTP_ERRORS = {
+  NO_OTP: [400, "No OTP request found for this email"],
+  OTP_EXPIRED: [400, "OTP expired"],
+  INVALID_OTP: [400, "Invalid OTP"],
+  TOO_MANY_ATTEMPTS: [429, "Too many incorrect attempts. Please request a new OTP"],
+  RESEND_THROTTLED: [429, "Please wait before requesting another OTP"],
+  TOO_MANY_RESENDS: [429, "Too many OTP requests. Please try again later"],
+};
+
+const sendOtpError = (res, code, extra = {}) => {
+  const [status, message] = OTP_ERRORS[code];
+  return res.status(status).json({ success: false, code, message, ...extra });
+};
 
 // Normalize gender inputs to match schema enum
 const normalizeGender = (g) => {
@@ -24,15 +46,23 @@ const normalizeGender = (g) => {
 };
 
 // Public API: Get new active members
+// With a user token, the viewer's discovery preferences and blocks apply
 export const getNewActiveMembers = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10; 
     const sortOrder = req.query.sort === "asc" ? 1 : -1;
+    const viewer = req.user;
+
+    const matchStage = { status: "Active" };
+    if (viewer) {
+      Object.assign(matchStage, buildDiscoveryMatch(viewer), { _id: { $ne: viewer._id } });
+    }
 
     let users;
     try {
       users = await User.aggregate([
-        { $match: { status: "Active" } },
+        { $match: matchStage },
+        ...(viewer ? excludeBlockedStages(viewer._id) : []),
         { $sort: { createdAt: sortOrder } },
         { $limit: limit },
         {
@@ -88,7 +118,7 @@ export const getAllActiveUsers = async (req, res) => {
     let loginUser, users;
 
     try {
-      loginUser = await User.findById(loginUserId).select("friends");
+      loginUser = await User.findById(loginUserId).select("friends gender location geoLocation discoveryPreferences");
     } catch (err) {
       console.error("DB error fetching login user:", err);
       return res.status(500).json({
@@ -102,7 +132,13 @@ export const getAllActiveUsers = async (req, res) => {
 
     try {
       users = await User.aggregate([
-        { $match: { status: "Active", _id: { $ne: new mongoose.Types.ObjectId(loginUserId) } } },
+        {
+          $match: {
+            ...buildDiscoveryMatch(loginUser),
+            status: "Active",
+            _id: { $ne: new mongoose.Types.ObjectId(loginUserId) }
+          }
+        },
         ...getFriendshipAggregationStages(loginUserId, page, limit).map(stage => {
           if (stage.$addFields && stage.$addFields.mutualFriendsCount) {
             stage.$addFields.mutualFriendsCount = {
@@ -160,23 +196,15 @@ export const verifyOtp = async (req, res) => {
     if (!email || !otp)
       return res.status(400).json({ message: "Email & OTP required" });
 
-    const pending = pendingUsers[email];
+    // The attempt is counted before the OTP is compared
+    const { data: pending, counted } = await pendingUsers.countAttempt(email, "otp", MAX_OTP_ATTEMPTS);
     if (!pending)
       return res.status(400).json({ message: "No pending registration" });
 
-    if (Date.now() > pending.otpExpires) {
-      delete pendingUsers[email];
-      return res.status(400).json({ message: "OTP expired" });
-    }
-
-    // ✅ String-safe OTP comparison
-    if (pending.otp.toString() !== otp.toString()) {
-      return res.status(400).json({ message: "Invalid OTP" });
-    }
+    const otpError = checkOtp(`register:${email}`, pending.otp, otp, counted);
+    if (otpError) return sendOtpError(res, otpError);
 
-    pending.emailVerified = true;
-    delete pending.otp;
-    delete pending.otpExpires;
+    await pendingUsers.update(email, { emailVerified: true, otp: null });
 
     const tempToken = jwt.sign(
       { pendingEmail: email },
@@ -228,24 +256,28 @@ export const registerStep1 = async (req, res) => {
       return res.status(409).json({ success: false, message: "Email already registered" });
     }
 
-    // ✅ 3. Generate OTP and expiry
-    const otp = generateOtp();
-    const otpExpires = Date.now() + 5 * 60 * 1000; // 5 mins expiry
-    console.log('✅ OTP generated:', { email, otp, otpExpires });
+    // ✅ 3. Generate OTP (a repeat step1 is a resend and is throttled)
+    const previous = await pendingUsers.get(email);
+    const issued = issueOtp(`register:${email}`, previous?.otp);
+    if (issued.error) {
+      console.log('❌ OTP resend throttled:', { email, code: issued.error });
+      return sendOtpError(res, issued.error, { retryAfterSec: issued.retryAfterSec });
+    }
+    const { otp } = issued;
+    console.log('✅ OTP generated:', { email, expiresAt: new Date(issued.state.expiresAt) });
 
     // ✅ 4. Store user temporarily before verification
     try {
       const hashedPassword = await bcrypt.hash(password, 10);
-      pendingUsers[email] = {
+      await pendingUsers.set(email, {
         firstName,
         lastName,
         email,
         password: hashedPassword,
         phoneNo,
-        otp,
-        otpExpires,
+        otp: issued.state,
         emailVerified: false,
-      };
+      }, PENDING_REGISTRATION_TTL_SEC);
       console.log('✅ User stored in pending:', email);
     } catch (hashError) {
       console.error('❌ Password hashing error:', hashError);
@@ -381,8 +413,9 @@ export const registerStep2 = async (req, res) => {
       return res.status(400).json({ success: false, message: "Profile picture is required" });
     }
 
-    const pending = pendingUsers[email];
+    const pending = await pendingUsers.get(email);
     if (!pending) return res.status(400).json({ message: "No saved basic info found" });
+    if (!pending.emailVerified) return res.status(400).json({ message: "Please verify your email first" });
     
     const newUser = new User({
       Name: { firstName: pending.firstName, lastName: pending.lastName },
@@ -401,7 +434,7 @@ export const registerStep2 = async (req, res) => {
     });
     
     await newUser.save();
-    delete pendingUsers[email];
+    await pendingUsers.remove(email);
     
     // Issue JWT token
     const token = jwt.sign({ id: newUser._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
@@ -438,6 +471,16 @@ export const loginUser = async (req, res) => {
       });
     }
 
+    // Temporary suspension: reactivate once it has run out
+    if (user.status === "Suspended" && !(await liftExpiredSuspension(user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Your account is temporarily suspended",
+        data: { suspendedUntil: user.suspendedUntil },
+        accountStatus: "suspended"
+      });
+    }
+
     // Check if user account is banned/suspended
     if (user.status === "Banned") {
       return res.status(403).json({ 
@@ -464,6 +507,8 @@ export const loginUser = async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) return res.status(401).json({ success: false, message: "Incorrect password", data: {} });
 
+    await User.updateOne({ _id: user._id }, { lastActiveAt: new Date() });
+
     const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: "7d" });
     const profilePicFilename = user.profilePic || user.photos?.[0] || null;
     const profilePicUrl = resolveMediaUrl(profilePicFilename);
@@ -478,9 +523,6 @@ export const loginUser = async (req, res) => {
     return res.status(500).json({ success: false, message: "Server error", data: {} });
   }
 };
-// ================== Forgot Password ==================
-let otpStore = {};
-
 // ================== Forgot Password - Send OTP ==================
 export const forgotPassword = async (req, res) => {
   try {
@@ -492,11 +534,13 @@ export const forgotPassword = async (req, res) => {
     const user = await User.findOne({ email });
     if (!user) return res.status(404).json({ success: false, message: "User not found" });
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    console.log("🔢 Generated OTP:", otp, "for user:", email);
+    const previous = await passwordResets.get(email);
+    const issued = issueOtp(`reset:${email}`, previous?.otp);
+    if (issued.error) return sendOtpError(res, issued.error, { retryAfterSec: issued.retryAfterSec });
+    const { otp } = issued;
+    console.log("🔢 Generated password reset OTP for user:", email);
 
-    // store OTP in memory
-    otpStore[email] = { otp, expires: Date.now() + 5 * 60 * 1000, verified: false };
+    await passwordResets.set(email, { otp: issued.state, verified: false }, PASSWORD_RESET_TTL_SEC);
 
     // send OTP via email with better formatting
     const html = `
@@ -531,25 +575,20 @@ export const forgotPassword = async (req, res) => {
 
 // ================== Verify OTP ==================
 
-export const verifyForgotOtp = (req, res) => {
+export const verifyForgotOtp = async (req, res) => {
   try {
     const { email, otp } = req.body;
     if (!email || !otp) return res.status(400).json({ success: false, message: "Email and OTP required" });
 
-    const record = otpStore[email];
-    if (!record) return res.status(400).json({ success: false, message: "No OTP request found for this email" });
-    if (Date.now() > record.expires) {
-      delete otpStore[email];
-      return res.status(400).json({ success: false, message: "OTP expired" });
-    }
+    // The attempt is counted before the OTP is compared
+    const { data: record, counted } = await passwordResets.countAttempt(email, "otp", MAX_OTP_ATTEMPTS);
+    if (!record) return sendOtpError(res, "NO_OTP");
 
-    // ✅ String-safe OTP comparison
-    if (record.otp.toString() !== otp.toString()) {
-      return res.status(400).json({ success: false, message: "Invalid OTP" });
-    }
+    const otpError = checkOtp(`reset:${email}`, record.otp, otp, counted);
+    if (otpError) return sendOtpError(res, otpError);
 
     // mark verified
-    otpStore[email].verified = true;
+    await passwordResets.update(email, { verified: true, otp: null });
 
     res.status(200).json({ success: true, message: "OTP verified successfully" });
   } catch (err) {
@@ -572,7 +611,7 @@ export const resetPassword = async (req, res) => {
     }
 
     // Check if OTP was verified for this email
-    const record = otpStore[email];
+    const record = await passwordResets.get(email);
     if (!record || !record.verified) {
       return res.status(400).json({ success: false, message: "OTP verification required before reset" });
     }
@@ -586,8 +625,8 @@ export const resetPassword = async (req, res) => {
     const hashedPassword = await bcrypt.hash(newPassword, 10);
     await User.findOneAndUpdate({ email }, { password: hashedPassword });
 
-    // clear OTP store
-    delete otpStore[email];
+    // clear reset record
+    await passwordResets.remove(email);
 
     res.status(200).json({ success: true, message: "Password reset successful. Please login with your new password." });
   } catch (err) {
@@ -642,6 +681,41 @@ export const updateUserProfile = async (req, res) => {
   const { firstName, lastName, dob, age, gender, street, city, state, country, postalCode, bio, hobbies, status } = req.body;
   const normalizedUpdateGender = normalizeGender(gender);
 
+    // Notification preferences may arrive as JSON text in multipart requests
+    let preferenceUpdates = {};
+    if (req.body.notificationPreferences !== undefined) {
+      let prefs = req.body.notificationPreferences;
+      if (typeof prefs === "string") {
+        try {
+          prefs = JSON.parse(prefs);
+        } catch {
+          return res.status(400).json({ success: false, message: "notificationPreferences must be valid JSON", data: {} });
+        }
+      }
+      const { updates, error } = buildPreferenceUpdates(prefs);
+      if (error) return res.status(400).json({ success: false, message: error, data: {} });
+      preferenceUpdates = updates;
+    }
+
+    // Discovery preferences follow the same rules (object or JSON text)
+    let discoveryUpdates = {};
+    if (req.body.discoveryPreferences !== undefined) {
+      let prefs = req.body.discoveryPreferences;
+      if (typeof prefs === "string") {
+        try {
+          prefs = JSON.parse(prefs);
+        } catch {
+          return res.status(400).json({ success: false, message: "discoveryPreferences must be valid JSON", data: {} });
+        }
+      }
+      const { updates, error } = buildDiscoveryUpdates(prefs, req.user.discoveryPreferences || {});
+      if (error) return res.status(400).json({ success: false, message: error, data: {} });
+      discoveryUpdates = updates;
+    }
+
+    const geo = buildGeoUpdates(req.body);
+    if (geo.error) return res.status(400).json({ success: false, message: geo.error, data: {} });
+
     const updatedData = {
       ...(firstName || lastName ? { Name: { firstName, lastName } } : {}),
       ...(dob && { dob }),
@@ -652,6 +726,9 @@ export const updateUserProfile = async (req, res) => {
       ...(status && { status }),
       ...(hobbies ? { hobbies: Array.isArray(hobbies) ? hobbies : hobbies.split(",").map(h => h.trim()) } : {}),
       ...(profilePic && { profilePic }),
+      ...preferenceUpdates,
+      ...discoveryUpdates,
+      ...geo.updates,
       updatedAt: Date.now(),
     };
 
@@ -858,28 +935,19 @@ export const getMatches = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
 
-    // Fetch login user friends (for mutual friends)
-    // Also select gender to determine target matches
-    const loginUser = await User.findById(userId).select("friends gender");
+    // Fetch login user friends (for mutual friends) and discovery preferences
+    const loginUser = await User.findById(userId).select("friends gender location geoLocation discoveryPreferences");
     if (!loginUser) return res.status(404).json({ message: "User not found" });
     const loginUserFriends = loginUser.friends || [];
 
-    // Determine target gender logic
-    // - If user is Male -> show Female
-    // - If user is Female -> show Male
-    // - If user is Others/other/unknown -> show all (no gender filter)
-    const userGender = (loginUser.gender || "").toLowerCase();
+    // Genders, age range and distance/country come from the user's discovery preferences
     const matchStage = {
       $match: {
+        ...buildDiscoveryMatch(loginUser),
         _id: { $ne: userId },
         status: "Active"
       }
     };
-    if (userGender === "male") {
-      matchStage.$match.gender = "Female";
-    } else if (userGender === "female") {
-      matchStage.$match.gender = "Male";
-    } // else Others/unknown => no gender filter
 
     // Aggregate matches
     const matches = await User.aggregate([
@@ -1172,7 +1240,9 @@ export const searchUsersByName = async (req, res) => {
     }
  
     // 🔹 Case-insensitive regex search on firstName or lastName
+    const blockedIds = await getBlockedUserIds(req.user.id);
     const users = await User.find({
+      _id: { $nin: blockedIds },
       $or: [
         { "Name.firstName": { $regex: query, $options: "i" } },
         { "Name.lastName": { $regex: query, $options: "i" } }
@@ -1340,119 +1410,130 @@ export const getUserById = async (req, res) => {
 
 
 
-export const searchUsersByLocation = async (req, res) => {
-    try {
-        // Get location parameters from query string
-    const { city, state, country } = req.query;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = Math.min(parseInt(req.query.limit, 10) || 15, 50);
-    const skip = (page - 1) * limit;
- 
-        // Build dynamic filter object
-        const filter = { status: "Active" }; // optional: only active users
- 
-        if (city) filter["location.city"] = { $regex: new RegExp(city, "i") };
-        if (state) filter["location.state"] = { $regex: new RegExp(state, "i") };
-        if (country) filter["location.country"] = { $regex: new RegExp(country, "i") };
- 
-        // If no filter provided, return empty array
-        if (!city && !state && !country) {
-      return res.status(200).json({ success: true, count: 0, users: [], page, limit, hasMore: false });
-        }
- 
-    const users = await User.find(filter)
-      .select("Name.firstName Name.lastName email profilePic location")
-      .skip(skip)
-      .limit(limit);
- 
-        res.status(200).json({
-            success: true,
+// Shared by /discover and the older per-field searches.
+// Returns { users, page, limit } or { status, message } for a bad query.
+// paginate: false returns every match, as the old age search did.
+async function findDiscoverableUsers(req, { paginate = true } = {}) {
+  const { q, gender, minAge, maxAge, city, state, country, maxDistanceKm } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 15, 50);
+
+  const genders = gender ? String(gender).split(",").map(normalizeGender) : undefined;
+  if (genders?.some(g => !g)) {
+    return { status: 400, message: "gender must be Male, Female or Others" };
+  }
+  for (const [name, value] of [["minAge", minAge], ["maxAge", maxAge]]) {
+    if (value !== undefined && !(Number(value) >= MIN_AGE && Number(value) <= MAX_AGE)) {
+      return { status: 400, message: `${name} must be between ${MIN_AGE} and ${MAX_AGE}` };
+    }
+  }
+  // Compare what will actually be used, query params over stored preferences
+  const stored = req.user.discoveryPreferences;
+  if (Number(minAge ?? stored?.minAge ?? MIN_AGE) > Number(maxAge ?? stored?.maxAge ?? MAX_AGE)) {
+    return { status: 400, message: "minAge cannot be greater than maxAge" };
+  }
+  if (maxDistanceKm !== undefined && !(Number(maxDistanceKm) > 0)) {
+    return { status: 400, message: "maxDistanceKm must be a positive number" };
+  }
+
+  const filter = {
+    ...buildDiscoveryMatch(req.user, { genders, minAge, maxAge, city, state, country, maxDistanceKm }),
+    status: "Active",
+    _id: { $nin: [req.user._id, ...await getBlockedUserIds(req.user.id)] }
+  };
+  if (q) {
+    const pattern = { $regex: String(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+    filter.$or = [{ "Name.firstName": pattern }, { "Name.lastName": pattern }];
+  }
+
+  let query = User.find(filter)
+    .select("Name age gender profilePic photos location bio hobbies")
+    .sort({ lastActiveAt: -1, createdAt: -1 });
+  if (paginate) query = query.skip((page - 1) * limit).limit(limit);
+  const users = await query.lean();
+
+  return {
+    users: users.map(u => ({
+      ...u,
+      profilePic: resolveMediaUrl(u.profilePic),
+      photos: Array.isArray(u.photos) ? u.photos.map(p => resolveMediaUrl(p)) : u.photos
+    })),
+    page,
+    limit
+  };
+}
+
+// GET /api/user/discover?q=&gender=&minAge=&maxAge=&city=&state=&country=&maxDistanceKm=&page=&limit=
+// One combined filter; anything not given falls back to the user's discovery preferences
+export const discoverUsers = async (req, res) => {
+  try {
+    const result = await findDiscoverableUsers(req);
+    if (result.message) return res.status(result.status).json({ success: false, message: result.message });
+
+    const { users, page, limit } = result;
+    return res.status(200).json({
+      success: true,
       count: users.length,
-      users: users.map(u => ({
-        ...u.toObject(),
-        profilePic: resolveMediaUrl(u.profilePic)
-      })),
+      users,
       page,
       limit,
       hasMore: users.length === limit
-        });
- 
-    } catch (error) {
-        console.error("Location Search Error:", error);
-        res.status(500).json({ success: false, message: "Server Error" });
+    });
+  } catch (error) {
+    console.error("discoverUsers error:", error);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+};
+
+// GET /api/user/search-by-location/new?city=&state=&country=
+// Older search kept for existing clients: same filter as /discover, but
+// nothing is returned until a place is given
+export const searchUsersByLocation = async (req, res) => {
+  try {
+    const { city, state, country } = req.query;
+    if (!city && !state && !country) {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 15, 50);
+      return res.status(200).json({ success: true, count: 0, users: [], page, limit, hasMore: false });
     }
+    return discoverUsers(req, res);
+  } catch (error) {
+    console.error("Location Search Error:", error);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
 };
 
+// Older age/gender searches answer with `data` rather than `users`. The age
+// search was never paginated; the gender search pages like /discover.
+const sendLegacySearch = async (req, res, { paginate }) => {
+  const result = await findDiscoverableUsers(req, { paginate });
+  if (result.message) return res.status(result.status).json({ success: false, message: result.message });
 
+  const { users, page, limit } = result;
+  const body = { success: true, count: users.length, data: users };
+  if (paginate) Object.assign(body, { page, limit, hasMore: users.length === limit });
+  return res.status(200).json(body);
+};
+
+// GET /api/user/search/by-age?minAge=&maxAge=
 export const searchUsersByAge = async (req, res) => {
   try {
-    let { minAge, maxAge } = req.query;
- 
-    // Convert to numbers
-    minAge = minAge ? parseInt(minAge) : 18; // minimum age default
-    maxAge = maxAge ? parseInt(maxAge) : 100; // maximum age default
- 
-    // Build query
-    const query = {
-      age: { $gte: minAge, $lte: maxAge },
-      status: "Active", // only active users
-    };
- 
-    const users = await User.find(query).select(
-      "-password -otp -otpExpires"
-    ); // exclude sensitive fields
- 
-    res.status(200).json({
-      success: true,
-      count: users.length,
-      data: users,
-    });
+    return await sendLegacySearch(req, res, { paginate: false });
   } catch (error) {
-    console.error(error);
+    console.error("Age Search Error:", error);
     res.status(500).json({ success: false, message: "Server Error" });
   }
 };
 
-
+// GET /api/user/search/by-gender?gender=&page=&limit=
 export const searchUsersByGender = async (req, res) => {
   try {
-    const { gender } = req.query;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = Math.min(parseInt(req.query.limit, 10) || 15, 50);
-    const skip = (page - 1) * limit;
- 
-    if (!gender) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide a gender to search",
-      });
+    if (!req.query.gender) {
+      return res.status(400).json({ success: false, message: "Please provide a gender to search" });
     }
- 
-    // Build query
-    const query = {
-      gender: gender, // exact match
-      status: "Active", // only active users
-    };
- 
-    const users = await User.find(query)
-      .select("-password -otp -otpExpires")
-      .skip(skip)
-      .limit(limit); // exclude sensitive info
- 
-    res.status(200).json({
-      success: true,
-      count: users.length,
-      data: users.map(u => ({
-        ...u.toObject(),
-        profilePic: resolveMediaUrl(u.profilePic),
-        photos: Array.isArray(u.photos) ? u.photos.map(p => resolveMediaUrl(p)) : u.photos
-      })),
-      page,
-      limit,
-      hasMore: users.length === limit
-    });
+    return await sendLegacySearch(req, res, { paginate: true });
   } catch (error) {
-    console.error(error);
+    console.error("Gender Search Error:", error);
     res.status(500).json({ success: false, message: "Server Error" });
   }
-};
\ No newline at end of file
+};
@@ -2,6 +2,9 @@ import zegoService from '../services/zegoService.js';
 import User from '../models/User.js';
 import Call from '../models/Call.js';
 import Subscription from '../models/Subscription.js';
+import ZegoCallbackLog from '../models/ZegoCallbackLog.js';
+import { findCallForUser, findLatestCallByRoom, isFinal } from '../services/callService.js';
+import { closeSessionsForCall, openSessionsForCall } from '../services/callUsageService.js';
 
 /**
  * ZEGO Cloud Controller
@@ -41,20 +44,24 @@ export const generateToken = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Video call limit reached' });
     }
     
-    // Upsert a Call record for this room and user so we can track session via callbacks
+    // Track the session via callbacks: reuse the room's call if the user is in it,
+    // otherwise start a new record for this room
     if (roomId) {
-      await Call.findOneAndUpdate(
-        { 'zegoData.roomId': roomId },
-        {
-          $setOnInsert: {
-            type: callType === 'audio' ? 'audio' : 'video',
-            status: 'initiated',
-          },
-          $set: { 'zegoData.roomId': roomId },
-          $addToSet: { participants: { userId: user._id, role: 'participant', joinedAt: new Date() } }
-        },
-        { upsert: true }
-      );
+      const existing = await findLatestCallByRoom(roomId);
+      if (existing && !isFinal(existing)) {
+        const isParticipant = existing.participants.some(p => p.userId.toString() === user._id.toString());
+        if (!isParticipant) {
+          return res.status(403).json({ success: false, message: 'You are not a participant in this call' });
+        }
+      } else {
+        await Call.create({
+          type: callType === 'audio' ? 'audio' : 'video',
+          status: 'initiated',
+          callerId: user._id,
+          participants: [{ userId: user._id, role: 'participant', joinedAt: new Date() }],
+          zegoData: { roomId }
+        });
+      }
     }
 
     // Generate token
@@ -111,50 +118,57 @@ export const generateToken = async (req, res) => {
 };
 
 /**
- * POST /api/zego/room-token
- * Generate room-specific token for joining a call
+ * POST /api/zego/room-token { callId, roomId? }
+ * Generate a token for the room of a call the user takes part in
  */
 export const generateRoomToken = async (req, res) => {
   try {
     const user = req.user;
-    const { roomId, callId, role = 'participant' } = req.body;
+    const { roomId, callId } = req.body;
     
-    if (!roomId) {
+    if (!callId) {
       return res.status(400).json({
         success: false,
-        message: 'Room ID is required'
+        message: 'Call ID is required'
       });
     }
     
     // Verify call exists and user is authorized
-    let call = null;
-    if (callId) {
-      call = await Call.findById(callId);
-      if (!call) {
-        return res.status(404).json({
-          success: false,
-          message: 'Call not found'
-        });
-      }
-      
-      const isParticipant = call.participants.some(p => 
-        p.userId.toString() === user._id.toString()
-      );
-      
-      if (!isParticipant) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to join this call'
-        });
-      }
+    const call = await findCallForUser({ callId, userId: user._id });
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call not found'
+      });
+    }
+    if (isFinal(call)) {
+      return res.status(409).json({
+        success: false,
+        message: `Call is ${call.status}`
+      });
+    }
+    
+    // The room was fixed when the call was created; never let a client move it
+    const callRoomId = call.zegoData.roomId;
+    if (roomId && roomId !== callRoomId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Room ID does not match this call'
+      });
     }
     
+    // Token privileges follow the role recorded on the call, not the client's claim
+    const participant = call.participants.find(p => 
+      p.userId.toString() === user._id.toString()
+    );
+    const tokenRole = participant.role;
+    
     // Generate room token
     const tokenResult = zegoService.generateRoomToken({
       userId: user._id.toString(),
       userName: `${user.Name.firstName} ${user.Name.lastName}`,
-      roomId,
-      role
+      roomId: callRoomId,
+      role: tokenRole
     });
     
     if (!tokenResult.success) {
@@ -165,31 +179,27 @@ export const generateRoomToken = async (req, res) => {
       });
     }
     
-    // Update call with ZEGO room info if call exists
-    if (call) {
-      await Call.findByIdAndUpdate(callId, {
-        'zegoData.roomId': roomId,
-        'zegoData.tokenGeneratedAt': new Date(),
-        $push: {
-          'zegoData.tokenHistory': {
-            userId: user._id,
-            generatedAt: new Date(),
-            expiresAt: new Date(tokenResult.data.expiresAt * 1000)
-          }
+    await Call.findByIdAndUpdate(call._id, {
+      'zegoData.tokenGeneratedAt': new Date(),
+      $push: {
+        'zegoData.tokenHistory': {
+          userId: user._id,
+          generatedAt: new Date(),
+          expiresAt: new Date(tokenResult.data.expiresAt * 1000)
         }
-      });
-    }
+      }
+    });
     
     res.json({
       success: true,
       data: {
         ...tokenResult.data,
-        call: call ? {
+        call: {
           id: call._id,
           type: call.type,
           status: call.status,
           participants: call.participants
-        } : null
+        }
       }
     });
     
@@ -265,29 +275,57 @@ export const getConfig = async (req, res) => {
  */
 export const handleCallback = async (req, res) => {
   try {
-    // Verify signature
-    const signature = req.headers['x-zego-signature'] || 
-                     req.headers['x-coolz-signature'] || 
-                     req.headers['signature'];
-    
     const rawBody = req.rawBody || req.body;
     
-    if (!zegoService.verifyCallbackSignature(rawBody, signature)) {
-      console.warn('ZEGO callback signature verification failed');
+    // Parse callback data
+    let callbackData;
+    try {
+      callbackData = typeof rawBody === 'string' ? JSON.parse(rawBody) : (rawBody || {});
+    } catch (e) {
+      callbackData = {};
+    }
+
+    // ZEGO sends signature, timestamp and nonce with the callback; accept them as headers too
+    const signature = callbackData.signature ||
+                     req.headers['x-zego-signature'] || 
+                     req.headers['signature'];
+    const timestamp = callbackData.timestamp || req.headers['x-zego-timestamp'] || req.headers['timestamp'];
+    const nonce = callbackData.nonce || req.headers['x-zego-nonce'] || req.headers['nonce'];
+
+    const logEntry = {
+      nonce: nonce ? String(nonce) : null,
+      signature: signature ? String(signature) : null,
+      callbackTimestamp: Number(timestamp) || null,
+      event: callbackData.event_type || callbackData.event || null,
+      roomId: callbackData.room_id || null,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || null
+    };
+
+    const verification = zegoService.verifyCallbackSignature({ signature, timestamp, nonce });
+    if (!verification.ok) {
+      await recordRejectedCallback(logEntry, verification.reason, callbackData);
       return res.status(401).json({
         success: false,
         message: 'Invalid signature'
       });
     }
-    
-    // Parse callback data
-    const callbackData = typeof rawBody === 'string' 
-      ? JSON.parse(rawBody) 
-      : rawBody;
+
+    // Claim the nonce; a second callback with the same nonce is a replay
+    try {
+      await ZegoCallbackLog.create({ ...logEntry, status: 'accepted' });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await recordRejectedCallback(logEntry, 'Replayed nonce', callbackData);
+      return res.status(401).json({
+        success: false,
+        message: 'Replayed callback'
+      });
+    }
     
     console.log('ZEGO callback received:', {
-      event: callbackData.event_type || callbackData.event,
-      roomId: callbackData.room_id,
+      event: logEntry.event,
+      roomId: logEntry.roomId,
       timestamp: new Date().toISOString()
     });
     
@@ -305,6 +343,15 @@ export const handleCallback = async (req, res) => {
   }
 };
 
+async function recordRejectedCallback(logEntry, reason, payload) {
+  console.warn(`ZEGO callback rejected: ${reason}`, { ip: logEntry.ip, event: logEntry.event });
+  try {
+    await ZegoCallbackLog.create({ ...logEntry, status: 'rejected', reason, payload });
+  } catch (err) {
+    console.error('Failed to record rejected ZEGO callback:', err);
+  }
+}
+
 /**
  * POST /api/zego/validate-token
  * Validate a ZEGO token (for debugging)
@@ -383,7 +430,8 @@ async function handleUserJoinedRoom(data) {
           timestamp: new Date(timestamp || Date.now())
         }
       }
-    }
+    },
+    { sort: { createdAt: -1 } }
   );
 }
 
@@ -400,7 +448,8 @@ async function handleUserLeftRoom(data) {
           timestamp: new Date(timestamp || Date.now())
         }
       }
-    }
+    },
+    { sort: { createdAt: -1 } }
   );
 }
 
@@ -408,35 +457,31 @@ async function handleRoomSessionEnd(data) {
   const { room_id, duration, timestamp } = data;
   
   // Update call with final duration from ZEGO
-  const call = await Call.findOneAndUpdate(
-    { 'zegoData.roomId': room_id },
-    {
-      status: 'ended',
-      'zegoData.sessionEndedAt': new Date(timestamp || Date.now()),
-      'zegoData.actualDuration': Number(duration) || 0
-    },
-    { new: true }
-  );
+  const call = await findLatestCallByRoom(room_id);
+  if (!call) return;
 
-  // If we know the call type and participants, attribute duration to all participants' subscriptions
-  try {
-    if (call && Array.isArray(call.participants) && call.participants.length > 0) {
-      const secs = Math.max(0, Number(duration) || 0);
-      if (secs > 0) {
-        const type = call.type === 'audio' ? 'audio' : 'video';
-        const inc = type === 'audio'
-          ? { audioTimeUsedTotal: secs, totalAudioUsed: secs }
-          : { videoTimeUsedTotal: secs, totalVideoUsed: secs };
-
-        await Subscription.updateMany(
-          { userId: { $in: call.participants.map(p => p.userId) } },
-          { $inc: inc }
-        );
-      }
+  const endedAt = new Date(timestamp || Date.now());
+  call.zegoData.sessionEndedAt = endedAt;
+  call.zegoData.actualDuration = Number(duration) || 0;
+  call.duration = call.zegoData.actualDuration;
+  if (call.status !== 'missed') {
+    call.status = 'ended';
+    // Rooms joined with a /api/zego/token token are never answered over the
+    // socket; ZEGO's session length tells us when the call really started
+    if (!call.startedAt && call.zegoData.actualDuration > 0) {
+      call.startedAt = new Date(endedAt.getTime() - call.zegoData.actualDuration * 1000);
     }
-  } catch (err) {
-    console.error('Failed to attribute ZEGO duration to subscriptions:', err);
   }
+  if (!call.endedAt) {
+    call.endedAt = endedAt;
+    call.endReason = 'session_end';
+  }
+  await call.save();
+
+  // Charge metered usage up to the moment ZEGO closed the room, including
+  // participants nobody opened a session for
+  if (call.status === 'ended') await openSessionsForCall(call);
+  await closeSessionsForCall(call._id, { endedAt, closedBy: 'session_end' });
 }
 
 async function handleRecordingReady(data) {
@@ -450,7 +495,8 @@ async function handleRecordingReady(data) {
         fileSize: file_size,
         readyAt: new Date()
       }
-    }
+    },
+    { sort: { createdAt: -1 } }
   );
 }
 
@@ -31,4 +31,20 @@ export const protectedUser = async (req, res, next) => {
       .status(401)
       .json({ success: false, message: "Invalid or expired token" });
   }
-};
\ No newline at end of file
+};
+// Public routes that personalise results when a valid user token is sent.
+// Sets req.user or leaves it undefined; never rejects the request.
+export const optionalUser = async (req, res, next) => {
+  try {
+    const hdr = req.headers.authorization || "";
+    const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+      if (user && user.status === 'Active') req.user = user;
+    }
+  } catch {
+    // Invalid token: treat as anonymous
+  }
+  next();
+};
@@ -1,13 +1,25 @@
 import rawBody from 'raw-body';
 
+const isRawBodyRoute = (url = '') => url.includes('/callback') || url.includes('/webhook');
+
+/**
+ * express.json() `verify` hook: keep the exact bytes for signed webhook routes,
+ * since the global JSON parser consumes the stream before parseRawBody runs
+ */
+export const captureRawBody = (req, res, buf) => {
+  if (isRawBodyRoute(req.originalUrl)) {
+    req.rawBody = buf.toString('utf8');
+  }
+};
+
 /**
  * Middleware to parse raw request body for signature verification
- * Required for ZEGO Cloud webhook callbacks
+ * Required for ZEGO Cloud callbacks and payment provider webhooks
  */
 export const parseRawBody = async (req, res, next) => {
   try {
-    // Only parse raw body for callback endpoints
-    if (req.originalUrl.includes('/callback')) {
+    // Only parse raw body for callback/webhook endpoints not already captured
+    if (isRawBodyRoute(req.originalUrl) && typeof req.rawBody !== 'string') {
       const raw = await rawBody(req, {
         length: req.headers['content-length'],
         limit: '1mb',
@@ -85,13 +97,14 @@ export const zegoSecurity = (req, res, next) => {
   if (req.originalUrl.includes('/callback')) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Zego-Signature, X-Coolz-Signature, Signature');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Zego-Signature, X-Zego-Timestamp, X-Zego-Nonce, Signature');
   }
   
   next();
 };
 
 export default {
+  captureRawBody,
   parseRawBody,
   zegoRateLimit,
   zegoSecurity
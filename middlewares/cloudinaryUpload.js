@@ -1,7 +1,8 @@
 import multer from "multer";
 import { CloudinaryStorage } from "multer-storage-cloudinary";
 import cloudinary from "../config/cloudinary.js";
- 
+import { extensionFor, getAttachmentType, MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES } from "../utils/chatAttachments.js";
+
 const storage = new CloudinaryStorage({
   cloudinary,
   params: {
@@ -11,7 +12,61 @@ const storage = new CloudinaryStorage({
     resource_type: "image",
   },
 });
- 
+
 const upload = multer({ storage });
- 
-export default upload;
\ No newline at end of file
+
+// ===== Chat attachments (photos, voice notes, files) =====
+// Cloudinary when configured, otherwise the local uploads/chat folder
+
+// Cloudinary stores audio under the "video" resource type and anything else as "raw"
+const CLOUDINARY_RESOURCE_TYPES = { image: "image", audio: "video", file: "raw" };
+
+const chatCloudStorage = new CloudinaryStorage({
+  cloudinary,
+  params: (req, file) => {
+    const type = getAttachmentType(file.mimetype);
+    return {
+      folder: "shyeyes/chat",
+      resource_type: CLOUDINARY_RESOURCE_TYPES[type],
+      // raw files keep their extension so the URL still opens correctly
+      ...(type === "file" && { use_filename: true, unique_filename: true }),
+    };
+  },
+});
+
+const chatDiskStorage = multer.diskStorage({
+  destination: "./uploads/chat",
+  filename: (req, file, cb) => {
+    // chatFileFilter has already rejected anything without a known MIME type
+    cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${extensionFor(file.mimetype)}`);
+  },
+});
+
+const chatFileFilter = (req, file, cb) => {
+  if (!getAttachmentType(file.mimetype)) return cb(new Error("Unsupported file type"));
+  cb(null, true);
+};
+
+const chatLimits = { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS };
+
+const chatCloudUpload = multer({ storage: chatCloudStorage, fileFilter: chatFileFilter, limits: chatLimits });
+const chatDiskUpload = multer({ storage: chatDiskStorage, fileFilter: chatFileFilter, limits: chatLimits });
+
+const isCloudinaryConfigured = () =>
+  !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+
+// Accepts up to MAX_ATTACHMENTS files in the "files" field; upload errors become a 400
+export const chatAttachmentUpload = (req, res, next) => {
+  const uploader = isCloudinaryConfigured() ? chatCloudUpload : chatDiskUpload;
+  uploader.array("files", MAX_ATTACHMENTS)(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === "LIMIT_FILE_SIZE"
+      ? `Each file must be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB`
+      : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+        ? `Upload at most ${MAX_ATTACHMENTS} files in the "files" field`
+        : err.message || "Upload failed";
+    return res.status(400).json({ success: false, message });
+  });
+};
+
+export default upload;
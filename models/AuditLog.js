@@ -51,6 +51,12 @@ const auditLogSchema = new mongoose.Schema(
         'call_initiated_impersonated',
         'monitor_chat_viewed',
         'monitor_user_list_viewed',
+        'report_triaged',
+        'report_dismissed',
+        'report_resolved',
+        'user_warned',
+        'user_suspended',
+        'user_banned',
       ],
       index: true,
     },
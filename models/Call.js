@@ -23,6 +23,13 @@ const callSchema = new mongoose.Schema({
   type: { type: String, enum: ['audio', 'video'], required: true },
   status: { type: String, enum: ['initiated', 'ongoing', 'ended', 'missed'], default: 'initiated' },
   participants: { type: [participantSchema], default: [] },
+  callerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // Server-side lifecycle timestamps (set by the /chat socket flow)
+  startedAt: { type: Date },
+  endedAt: { type: Date },
+  endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  endReason: { type: String, enum: ['hangup', 'rejected', 'timeout', 'cancelled', 'offline', 'session_end', 'quota_exhausted'] },
+  duration: { type: Number, default: 0 },
   zegoData: {
     roomId: { type: String },
     tokenGeneratedAt: { type: Date },
@@ -38,4 +45,7 @@ const callSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+callSchema.index({ 'zegoData.roomId': 1, createdAt: -1 });
+callSchema.index({ 'participants.userId': 1, createdAt: -1 });
+
 export default mongoose.model('Call', callSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * Server-side metering of call time for one user on one call.
+ * Opened for every participant when the call is answered (or by
+ * POST /api/usage/call/start, or at ZEGO room_session_end for rooms never
+ * answered over the socket), closed by stop, the call ending, a ZEGO
+ * room_session_end callback or the sweeper. Charged seconds come
+ * from server timestamps and never exceed the quota left when it opened.
+ */
+const callUsageSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  callId: { type: mongoose.Schema.Types.ObjectId, ref: 'Call', required: true, index: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true },
+  type: { type: String, enum: ['audio', 'video'], required: true },
+  status: { type: String, enum: ['open', 'closed'], default: 'open', index: true },
+  startedAt: { type: Date, required: true },
+  endedAt: { type: Date },
+  maxSeconds: { type: Number, required: true }, // remaining quota at start
+  chargedSeconds: { type: Number, default: 0 },
+  closedBy: { type: String, enum: ['stop', 'call_end', 'session_end', 'sweeper'] }
+}, { timestamps: true });
+
+// One open session per user per call
+callUsageSessionSchema.index(
+  { userId: 1, callId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+export default mongoose.model('CallUsageSession', callUsageSessionSchema);
@@ -1,37 +1,15 @@
 import mongoose from "mongoose";
-// ✅ Reply Schema
-const replySchema = new mongoose.Schema({
- from: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true
-    },
-    to: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true
-    },
-  message: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now }
-});
-
-// ✅ Message Schema
-const   messageSchema = new mongoose.Schema({
- from: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true
-    },
-    to: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true
-    },
-  message: { type: String, required: true },
+// ✅ Latest message, copied from models/Message.js for the conversation list
+const lastMessageSchema = new mongoose.Schema({
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  message: { type: String },
   petitionId: { type: String, default: null },
-  createdAt: { type: Date, default: Date.now },
-  replies: [replySchema]
-});
+  createdAt: { type: Date },
+  // Type of the first attachment, for "Photo" / "Voice note" previews
+  attachmentType: { type: String, default: null },
+  unsentAt: { type: Date, default: null }
+}, { _id: false });
 
 // ✅ Main Conversation Schema
 const ChatSchema = new mongoose.Schema(
@@ -47,6 +25,9 @@ const ChatSchema = new mongoose.Schema(
       ref: "User",
       required: true
     },
+    // Both user ids, sorted: one conversation per pair whoever wrote first
+    // (backfilled for older chats by `npm run migrate:chat-pairs`)
+    pairKey: { type: String },
     isActive: { type: Boolean, default: true },
     status: {
       type: String,
@@ -54,8 +35,10 @@ const ChatSchema = new mongoose.Schema(
       default: "send"
     },
 
-    messages: [messageSchema],
-    
+    // Messages live in their own collection (models/Message.js)
+    lastMessage: { type: lastMessageSchema, default: null },
+    messageCount: { type: Number, default: 0 },
+
     // ✅ Per-user clear history timestamps
     // Map of userId -> Date when that user cleared this conversation
     clearedAt: {
@@ -67,4 +50,8 @@ const ChatSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+ChatSchema.index({ pairKey: 1 }, { unique: true, sparse: true });
+
+export const chatPairKey = (userA, userB) => [userA.toString(), userB.toString()].sort().join("_");
+
 export default mongoose.model("Chat", ChatSchema);
\ No newline at end of file
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// A friend suggestion the user chose to hide (POST /api/friends/suggestions/:id/dismiss)
+const dismissedSuggestionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    dismissedUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+dismissedSuggestionSchema.index({ userId: 1, dismissedUserId: 1 }, { unique: true });
+
+export default mongoose.model("DismissedSuggestion", dismissedSuggestionSchema);
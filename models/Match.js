@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// A mutual like between two users. user1/user2 are stored in sorted order so
+// each pair has exactly one document; unlike or block dissolves it.
+const matchSchema = new mongoose.Schema(
+  {
+    user1: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    user2: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: ["active", "dissolved"], default: "active" },
+    matchedAt: { type: Date, default: Date.now },
+    dissolvedAt: { type: Date, default: null },
+    dissolvedReason: { type: String, enum: ["unlike", "block", null], default: null },
+  },
+  { timestamps: true }
+);
+
+matchSchema.index({ user1: 1, user2: 1 }, { unique: true });
+matchSchema.index({ user1: 1, status: 1, matchedAt: -1 });
+matchSchema.index({ user2: 1, status: 1, matchedAt: -1 });
+
+export default mongoose.model("Match", matchSchema);
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+// Photo, voice note or file uploaded through /api/chats/attachments
+const attachmentSchema = new mongoose.Schema({
+  type: { type: String, enum: ["image", "audio", "file"], required: true },
+  url: { type: String, required: true },
+  mime: { type: String },
+  size: { type: Number, default: null },      // bytes
+  duration: { type: Number, default: null },  // seconds, voice notes
+  thumbnail: { type: String, default: null }
+}, { _id: false });
+
+// Copy of the message being replied to, kept in step on edit/unsend
+const replyToSchema = new mongoose.Schema({
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message", required: true },
+  petitionId: { type: String, default: null },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  message: { type: String, default: "" },
+  attachmentType: { type: String, default: null },
+  unsentAt: { type: Date, default: null }
+}, { _id: false });
+
+// One reaction per user per emoji
+const reactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  emoji: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One chat message. Conversations (models/Chat.js) only keep a copy of the
+// latest message; the history lives here and is read page by page.
+const messageSchema = new mongoose.Schema(
+  {
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Chat",
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    // Optional when the message carries attachments; emptied when unsent
+    message: {
+      type: String,
+      default: "",
+      required: function () { return !this.unsentAt && !this.attachments?.length; }
+    },
+    attachments: { type: [attachmentSchema], default: [] },
+    replyTo: { type: replyToSchema, default: null },
+    reactions: { type: [reactionSchema], default: [] },
+    // Client-facing message id (uuid from the socket, "MSG..." from REST)
+    petitionId: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read"],
+      default: "sent"
+    },
+    // Set from the recipient's acks on the /chat socket
+    deliveredAt: { type: Date, default: null },
+    readAt: { type: Date, default: null },
+
+    editedAt: { type: Date, default: null },
+    // Unsent for everyone: the message stays as a tombstone
+    unsentAt: { type: Date, default: null },
+    // Users who deleted the message for themselves only
+    hiddenFor: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }]
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ chatId: 1, createdAt: -1 });
+messageSchema.index({ chatId: 1, petitionId: 1 });
+// Digest emails: messages received since a date
+messageSchema.index({ to: 1, createdAt: -1 });
+// Keeping quotes in step when the quoted message changes
+messageSchema.index({ "replyTo.messageId": 1 }, { sparse: true });
+// Unread badges in the conversation list
+messageSchema.index({ to: 1, readAt: 1, chatId: 1 });
+
+export default mongoose.model("Message", messageSchema);
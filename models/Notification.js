@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: { // type of notification
     type: String,
-    enum: ["friend_request", "message", "call", "like", "comment", "system"],
+    enum: ["friend_request", "message", "call", "like", "match", "comment", "system"],
     required: true,
   },
   fromUserId: { // jisse action hua (friend/message/call)
@@ -23,4 +23,7 @@ const notificationSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
+// Unread counters and the newest-first list both filter on these
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+
 export default mongoose.model("Notification", notificationSchema);
\ No newline at end of file
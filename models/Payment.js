@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const refundSchema = new mongoose.Schema({
+  type: { type: String, enum: ["refund", "chargeback"], default: "refund" },
+  providerRefundId: { type: String },
+  amount: { type: Number, required: true, min: 0 },
+  reason: { type: String, trim: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Role" },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: "Plan", required: true, index: true },
+
+    // Copy of the plan at checkout time, so later plan edits don't rewrite history
+    planSnapshot: {
+      planType: { type: String, enum: ["free", "basic", "standard", "premium"] },
+      price: { type: Number },
+      durationDays: { type: Number },
+      limits: { type: Object, default: {} }
+    },
+
+    provider: { type: String, enum: ["razorpay", "fake", "bypass"], required: true },
+    orderId: { type: String, required: true, unique: true },
+    providerPaymentId: { type: String, default: null, index: true },
+
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "INR" },
+
+    status: {
+      type: String,
+      enum: ["created", "paid", "failed", "refunded", "partially_refunded", "chargeback"],
+      default: "created",
+      index: true
+    },
+    failureReason: { type: String, default: null },
+
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription", default: null },
+    paidAt: { type: Date, default: null },
+
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    refunds: { type: [refundSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ planId: 1, status: 1 });
+
+export default mongoose.model("Payment", paymentSchema);
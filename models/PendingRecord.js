@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+/**
+ * Fallback backend for utils/pendingStore.js when Redis is not connected.
+ * Mongo's TTL monitor removes rows once expiresAt has passed.
+ */
+const pendingRecordSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true, minimize: false });
+
+pendingRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PendingRecord', pendingRecordSchema);
@@ -25,7 +25,12 @@ const planSchema = new mongoose.Schema(
       totalMessagesAllowed: { type: Number, default: 0, min: 0 },
       totalVideoTimeSeconds: { type: Number, default: 0, min: 0 },
       totalAudioTimeSeconds: { type: Number, default: 0, min: 0 },
-      matchesAllowed: { type: Number, default: 0, min: 0 },
+      // Added later: null keeps existing plans unlimited until an admin sets a cap
+      matchesAllowed: { type: Number, default: null, min: 0 },
+      likesAllowed: { type: Number, default: null, min: 0 },
+      friendRequestsAllowed: { type: Number, default: null, min: 0 },
+      // Chat attachments (photos, voice notes, files) per subscription period
+      mediaAllowed: { type: Number, default: null, min: 0 },
     },
     isActive: {
       type: Boolean,
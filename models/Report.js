@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A user's report about another user's profile, photo or chat message.
+// Admins and agents work through these in /api/admin/reports.
+export const REPORT_CATEGORIES = ["spam", "harassment", "inappropriate_content", "fake_profile", "scam", "underage", "other"];
+export const REPORT_ACTIONS = ["dismiss", "none", "warn", "suspend", "ban"];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reportedUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    targetType: { type: String, enum: ["profile", "photo", "message"], default: "profile" },
+    messagePetitionId: { type: String, default: null },
+    // Copy of the reported message, kept even if it is later edited or removed
+    messageSnapshot: { type: String, default: null },
+    photoUrl: { type: String, default: null },
+
+    category: { type: String, enum: REPORT_CATEGORIES, required: true },
+    description: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    status: { type: String, enum: ["open", "in_review", "resolved", "dismissed"], default: "open" },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Role", default: null },
+
+    resolution: {
+      action: { type: String, enum: REPORT_ACTIONS },
+      note: { type: String, trim: true, maxlength: 500 },
+      suspendedUntil: { type: Date },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Role" },
+      resolvedAt: { type: Date },
+      auditLogId: { type: mongoose.Schema.Types.ObjectId, ref: "AuditLog" },
+    },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reportedUserId: 1, createdAt: -1 });
+reportSchema.index({ reporterId: 1, reportedUserId: 1, status: 1 });
+
+export default mongoose.model("Report", reportSchema);
@@ -32,10 +32,16 @@ const subscriptionSchema = new mongoose.Schema({
   totalAudioUsed: { type: Number, default: 0 }, // Same as audioTimeUsedTotal  
   totalVideoUsed: { type: Number, default: 0 }, // Same as videoTimeUsedTotal
 
- 
-
-
-  matchesAllowed: { type: Number, default: null }
+  // 💞 Matches, likes, friend requests & chat media (per subscription period, null = unlimited)
+  // Enforced by services/entitlementService.js
+  matchesAllowed: { type: Number, default: null },
+  matchesUsed: { type: Number, default: 0 },
+  likesAllowed: { type: Number, default: null },
+  likesUsed: { type: Number, default: 0 },
+  friendRequestsAllowed: { type: Number, default: null },
+  friendRequestsUsed: { type: Number, default: 0 },
+  mediaAllowed: { type: Number, default: null },
+  mediaUsed: { type: Number, default: 0 }
 }, { timestamps: true });
 
 export default mongoose.model("Subscription", subscriptionSchema);
\ No newline at end of file
@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
 
+// In-app / email toggles for one notification type
+const channelPrefs = () => ({
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: true },
+});
+
 const userSchema = new mongoose.Schema(
   {
     Name: {
@@ -30,18 +36,64 @@ const userSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["Active", "Inactive", "Banned"],
+      enum: ["Active", "Inactive", "Suspended", "Banned"],
       default: "Active",
     },
 
+    // Moderation (same block fields as Role; set by admin actions and report resolutions)
+    blockReason: { type: String },
+    blockedAt: { type: Date },
+    blockedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Role" },
+    unblockedAt: { type: Date },
+    unblockedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Role" },
+    suspendedUntil: { type: Date, default: null },
+    warningCount: { type: Number, default: 0 },
+
   emailVerified: { type: Boolean, default: false },
   otp: String,
   otpExpires: Date,
 
 
     friends: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // Optional GeoJSON point [lng, lat] for distance-based discovery
+    geoLocation: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
+
+    // Who this user wants to see in matches and member lists (utils/discoveryPreferences.js)
+    discoveryPreferences: {
+      genders: { type: [{ type: String, enum: ["Male", "Female", "Others"] }], default: undefined }, // unset = opposite gender
+      minAge: { type: Number, min: 18, max: 100, default: 18 },
+      maxAge: { type: Number, min: 18, max: 100, default: 100 },
+      maxDistanceKm: { type: Number, min: 1, default: null },
+      sameCountryOnly: { type: Boolean, default: false },
+    },
+
+    // Last login or chat connection; used to rank friend suggestions
+    lastActiveAt: { type: Date, default: null },
     likeCount: { type: Number, default: 0 },
-    matchCount: { type: Number, default: 0 }
+    matchCount: { type: Number, default: 0 },
+
+    // Types mirror the Notification.type enum; see utils/notificationPreferences.js
+    notificationPreferences: {
+      friend_request: channelPrefs(),
+      message: channelPrefs(),
+      call: channelPrefs(),
+      like: channelPrefs(),
+      match: channelPrefs(),
+      comment: channelPrefs(),
+      system: channelPrefs(),
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: "22:00" }, // HH:mm, user's local time
+        end: { type: String, default: "07:00" },
+        timezone: { type: String, default: "UTC" },
+      },
+      // Summary email of unread notifications and messages (services/digestService.js)
+      digest: { type: String, enum: ["daily", "weekly", "off"], default: "daily" },
+    },
+    lastDigestSentAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
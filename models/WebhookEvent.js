@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// One row per provider event id, so retried deliveries are processed once
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    eventId: { type: String, required: true },
+    event: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+      index: true
+    },
+    attempts: { type: Number, default: 1 },
+    orderId: { type: String, default: null },
+    error: { type: String, default: null },
+    payload: { type: Object },
+    processedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model("WebhookEvent", webhookEventSchema);
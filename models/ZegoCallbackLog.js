@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+/**
+ * Every ZEGO callback we receive, accepted or rejected.
+ * Accepted rows double as the nonce store for replay protection;
+ * rejected rows are kept for investigating forged or misconfigured callbacks.
+ */
+const zegoCallbackLogSchema = new mongoose.Schema({
+  status: { type: String, enum: ['accepted', 'rejected'], required: true, index: true },
+  reason: { type: String, default: null },
+  nonce: { type: String, default: null },
+  signature: { type: String, default: null },
+  callbackTimestamp: { type: Number, default: null },
+  event: { type: String, default: null },
+  roomId: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A nonce may only be accepted once
+zegoCallbackLogSchema.index(
+  { nonce: 1 },
+  { unique: true, partialFilterExpression: { status: 'accepted' } }
+);
+
+// Keep callback history for 30 days; well past the freshness window
+zegoCallbackLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('ZegoCallbackLog', zegoCallbackLogSchema);
@@ -8,6 +8,12 @@ import {
   editAdminProfile,
   changeAdminProfileImage
 } from '../../controllers/admin/admin.controller.js';
+import {
+  getReports,
+  getReportById,
+  triageReport,
+  resolveReport
+} from '../../controllers/admin/admin.report.controller.js';
 import uploadRoleProfile from "../../middleware/common/uploadRoleProfile.js";
 import { protectedAuth, allowRoles } from "../../middleware/common/protectedAuth.js";
 
@@ -23,6 +29,12 @@ router.patch('/users/:userId/block', blockUser);
 router.patch('/users/:userId/unblock', unblockUser);
 router.delete('/users/:userId', deleteUser);
 
+// ✅ Moderation queue (admins and agents)
+router.get('/reports', protectedAuth, allowRoles("admin", "agent"), getReports);
+router.get('/reports/:id', protectedAuth, allowRoles("admin", "agent"), getReportById);
+router.patch('/reports/:id/triage', protectedAuth, allowRoles("admin", "agent"), triageReport);
+router.post('/reports/:id/resolve', protectedAuth, allowRoles("admin", "agent"), resolveReport);
+
 // ✅ New profile routes
 router.put(
   "/profile/edit",
@@ -0,0 +1,9 @@
+import express from "express";
+import { getCallById, getCallHistory } from "../controllers/call.controller.js";
+import { protectedUser } from "../middleware/common/protectedUser.js";
+const router = express.Router();
+
+router.get("/", protectedUser, getCallHistory);   // paginated history
+router.get("/:id", protectedUser, getCallById);   // single call
+
+export default router;
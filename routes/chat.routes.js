@@ -1,23 +1,40 @@
 import express from "express";
 
 import { protectedUser } from "../middleware/common/protectedUser.js";
+import { chatAttachmentUpload } from "../middlewares/cloudinaryUpload.js";
 import { getMessages } from "../controllers/chat.controller.js";
 import { sendMessage } from "../controllers/chat.controller.js";
 import { getConversations } from "../controllers/chat.controller.js";
 import { clearChatHistory } from "../controllers/chat.controller.js";
 import { getOnlineUsers } from "../controllers/chat.controller.js";
 import { getAllConversations } from "../controllers/chat.controller.js";
+import { editChatMessage, unsendChatMessage, deleteMessageForMe } from "../controllers/chat.controller.js";
+import { uploadChatAttachments } from "../controllers/chat.controller.js";
+import { replyToMessage, reactToMessage } from "../controllers/chat.controller.js";
 
 const router = express.Router();
 
 // Send a message
 router.post("/send", protectedUser, sendMessage);
+// upload photos, voice notes or files to attach to a message
+router.post("/attachments", protectedUser, chatAttachmentUpload, uploadChatAttachments);
 // get all messages
 router.get("/messages/:id", protectedUser, getMessages);
 // get all conversations
 router.get("/conversations/:id", protectedUser, getConversations);
 // clear chat history for current user only
 router.delete("/clear/:id", protectedUser, clearChatHistory);
+// :messageId below is the message's id (its _id), not its petitionId
+// edit own message (within the edit window)
+router.patch("/message/:messageId", protectedUser, editChatMessage);
+// unsend own message for everyone
+router.post("/message/:messageId/unsend", protectedUser, unsendChatMessage);
+// delete a message for current user only
+router.delete("/message/:messageId", protectedUser, deleteMessageForMe);
+// reply to a message, quoting it
+router.post("/message/:messageId/reply", protectedUser, replyToMessage);
+// add or remove an emoji reaction
+router.post("/message/:messageId/react", protectedUser, reactToMessage);
 // get online users
 router.get("/online-users", protectedUser, getOnlineUsers);
 // get all conversations for the logged-in user
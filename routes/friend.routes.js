@@ -13,7 +13,8 @@ import {
   toggleFriendRequest,
   toggleBlockUser,
   getBlockedUsers,
-
+  getFriendSuggestions,
+  dismissFriendSuggestion,
 } from "../controllers/friend.list.controller.js";
 import { protectedToken } from "../middlewares/userAuth/authMiddleware.js";
 
@@ -38,6 +39,10 @@ router.get("/requests", protectedToken, getPendingRequests);
 router.get("/sent", protectedToken, getSentRequests);
 router.get("/list", protectedToken, getFriends);
 
+// Suggestions
+router.get("/suggestions", protectedToken, getFriendSuggestions);
+router.post("/suggestions/:id/dismiss", protectedToken, dismissFriendSuggestion);
+
 
 
 
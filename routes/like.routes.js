@@ -1,5 +1,5 @@
 import express from "express";
-import { toggleLikeProfile, getLikesSent, getLikesReceived,getMyFavourites,toggleFavourite } from "../controllers/like.controller.js";
+import { toggleLikeProfile, getLikesSent, getLikesReceived,getMyFavourites,toggleFavourite, getMyMatches } from "../controllers/like.controller.js";
 import { protectedToken } from "../middlewares/userAuth/authMiddleware.js";
 
 const router = express.Router();
@@ -17,6 +17,9 @@ router.post("/:id/like", protectedToken, toggleLikeProfile);
 // Get all likes received by the user
 router.get("/received", protectedToken, getLikesReceived);
 
+// Mutual likes (matches)
+router.get("/matches", protectedToken, getMyMatches);
+
 router.post("/favourite/:id", protectedToken, toggleFavourite);   // add/remove favourite
 router.get("/favourites", protectedToken, getMyFavourites);       //  fav list
 
@@ -1,13 +1,15 @@
 import express from "express";
-import { clearNotifications, createNotification, deleteNotification, getNotifications, markAsRead } from "../controllers/notification.controller.js";
+import { clearNotifications, createNotification, deleteNotification, getNotifications, markAllAsRead, markAsRead } from "../controllers/notification.controller.js";
 import { protectedUser } from "../middleware/common/protectedUser.js";
+import { allowRoles, protectedAuth } from "../middleware/common/protectedAuth.js";
 const router = express.Router();
 
 // REST API Endpoints
-router.post("/", protectedUser, createNotification);         // create
+router.post("/", protectedAuth, allowRoles("admin"), createNotification); // create (admin; users are notified server-side)
 router.get("/", protectedUser, getNotifications);           // get all
+router.put("/read-all", protectedUser, markAllAsRead);      // mark all read
 router.put("/:id/read", protectedUser, markAsRead);         // mark read
+router.delete("/clear", protectedUser, clearNotifications); // clear all (before /:id)
 router.delete("/:id", protectedUser, deleteNotification);   // delete
-router.delete("/clear", protectedUser, clearNotifications); // clear all
 
 export default router;
\ No newline at end of file
@@ -1,10 +1,19 @@
 import express from 'express';
 import { protectedUser } from '../middleware/common/protectedUser.js';
-import { createCheckout, verifyPayment } from '../controllers/payment.controller.js';
+import { parseRawBody } from '../middleware/zegoMiddleware.js';
+import { allowRoles, protectedAuth } from '../middleware/common/protectedAuth.js';
+import { createCheckout, verifyPayment, getMyPayments, recordRefund, handleWebhook } from '../controllers/payment.controller.js';
 
 const router = express.Router();
 
 router.post('/checkout', protectedUser, createCheckout);
 router.post('/verify', protectedUser, verifyPayment);
+router.get('/history', protectedUser, getMyPayments);
+
+// Webhook from the payment provider - needs raw body for signature verification
+router.post('/webhook', parseRawBody, handleWebhook);
+
+// Admin: record a refund or chargeback against an order
+router.post('/:orderId/refund', protectedAuth, allowRoles("admin"), recordRefund);
 
 export default router;
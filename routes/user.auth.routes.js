@@ -24,14 +24,17 @@ import {
   getNewActiveMembers,
   getNotifications,
   setCoverPic,
+  discoverUsers,
   searchUsersByLocation,
   searchUsersByAge,
   searchUsersByGender,
 } from "../controllers/user.auth.controller.js";
+import { confirmUnsubscribeDigest, unsubscribeDigest } from "../controllers/digest.controller.js";
+import { reportUser } from "../controllers/report.controller.js";
 
 
 
-import { protectedUser } from "../middleware/common/protectedUser.js";
+import { protectedUser, optionalUser } from "../middleware/common/protectedUser.js";
 //import upload from "../middlewares/uploadProfile.js";
 
 //cloudinary
@@ -57,8 +60,16 @@ router.post("/reset-password", resetPassword);
 
 // Login user
 router.post("/login", loginUser);
+
+// ===== Digest emails (signed link, no login) =====
+router.get("/digest/unsubscribe", confirmUnsubscribeDigest);
+router.post("/digest/unsubscribe", unsubscribeDigest);
  
 router.get("/search",protectedUser, searchUsersByName);
+router.get("/discover", protectedUser, discoverUsers); // combined age/gender/location/distance filter
+
+//============== New Members =================token optional (personalised when sent)
+router.get("/new-members", optionalUser, getNewActiveMembers);
  
 //membership upgrade
 
@@ -76,19 +87,18 @@ router.post("/photos", protectedUser, upload.array("photos", 5), uploadPhotos);
 router.delete("/photo", protectedUser, deletePhoto);
 router.post("/photos/profile-pic", protectedUser, upload.single("profilePic"), setProfilePic);
 router.get("/:id", protectedUser, getUserById);
+router.post("/:id/report", protectedUser, reportUser);
 
 router.delete("/photos/profile-pic", protectedUser, removeProfilePic);
 router.delete("/photos/profile-pic/gallery", protectedUser,removeProfilePicAndGallery)
 
 
-//============== New Members =================without token
-router.get("/new-members", getNewActiveMembers);
-
 router.put("/set-cover-pic", protectedUser, setCoverPic);
  
  
-router.get("/search-by-location/new", protectedUser,searchUsersByLocation);
-router.get("/search/by-age", protectedUser,searchUsersByAge);
-router.get("/search/by-gender", protectedUser,searchUsersByGender);
+// Older per-field searches: the combined filter behind their original responses
+router.get("/search-by-location/new", protectedUser, searchUsersByLocation);
+router.get("/search/by-age", protectedUser, searchUsersByAge);
+router.get("/search/by-gender", protectedUser, searchUsersByGender);
 
 export default router;
\ No newline at end of file
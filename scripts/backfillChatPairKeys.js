@@ -0,0 +1,93 @@
+// scripts/backfillChatPairKeys.js
+// Sets Chat.pairKey on conversations created before it existed, so the unique
+// index on it can be built. Pairs that ended up with several conversations are
+// merged into the oldest one: messages move over, the others are deleted.
+// Run after migrate:messages. Safe to re-run.
+//
+//   npm run migrate:chat-pairs
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Chat, { chatPairKey } from "../models/Chat.js";
+import Message from "../models/Message.js";
+
+dotenv.config();
+
+// Latest message preview and counter, as saveMessage keeps them
+async function refreshSummary(chatId) {
+  const [latest, messageCount] = await Promise.all([
+    Message.findOne({ chatId }).sort({ createdAt: -1, _id: -1 }).lean(),
+    Message.countDocuments({ chatId })
+  ]);
+  await Chat.collection.updateOne(
+    { _id: chatId },
+    {
+      $set: {
+        lastMessage: latest ? {
+          messageId: latest._id,
+          from: latest.from,
+          message: latest.message,
+          petitionId: latest.petitionId,
+          createdAt: latest.createdAt,
+          attachmentType: latest.attachments?.[0]?.type || null,
+          unsentAt: latest.unsentAt || null
+        } : null,
+        messageCount
+      }
+    }
+  );
+}
+
+// Keep the oldest conversation; each user's clear-history date carries over
+async function mergePair(pairKey, chats) {
+  const [keep, ...duplicates] = chats.sort((a, b) => a._id.getTimestamp() - b._id.getTimestamp());
+  const duplicateIds = duplicates.map(chat => chat._id);
+
+  const clearedAt = { ...(keep.clearedAt || {}) };
+  for (const chat of duplicates) {
+    for (const [userId, date] of Object.entries(chat.clearedAt || {})) {
+      if (!clearedAt[userId] || date > clearedAt[userId]) clearedAt[userId] = date;
+    }
+  }
+
+  if (duplicateIds.length) {
+    await Message.updateMany({ chatId: { $in: duplicateIds } }, { $set: { chatId: keep._id } });
+    await Chat.collection.deleteMany({ _id: { $in: duplicateIds } });
+  }
+  await Chat.collection.updateOne({ _id: keep._id }, { $set: { pairKey, clearedAt } });
+  if (duplicateIds.length) await refreshSummary(keep._id);
+
+  return duplicateIds.length;
+}
+
+const backfillChatPairKeys = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Group the chats still missing a key by the pair of users they connect
+    const pairs = new Map();
+    const cursor = Chat.collection.find({ pairKey: { $exists: false } }, { projection: { from: 1, to: 1, clearedAt: 1 } });
+    for await (const chat of cursor) {
+      if (!chat.from || !chat.to) continue;
+      const key = chatPairKey(chat.from, chat.to);
+      if (!pairs.has(key)) pairs.set(key, []);
+      pairs.get(key).push(chat);
+    }
+
+    let merged = 0;
+    for (const [pairKey, chats] of pairs) {
+      // A chat for this pair may already carry the key (created since the upgrade)
+      const keyed = await Chat.collection.findOne({ pairKey });
+      merged += await mergePair(pairKey, keyed ? [keyed, ...chats] : chats);
+    }
+
+    await Chat.syncIndexes();
+    console.log(`✅ Backfilled ${pairs.size} conversations, merged ${merged} duplicates`);
+  } catch (error) {
+    console.error("❌ Chat pair key backfill failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+backfillChatPairKeys();
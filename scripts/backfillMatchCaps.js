@@ -0,0 +1,39 @@
+// scripts/backfillMatchCaps.js
+// Before match caps were enforced, matchesAllowed: 0 on plans and
+// subscriptions meant "no cap". It now means "no matches allowed", so the
+// legacy zeros are reset to null (unlimited) before the caps go live. Admins
+// set real caps afterwards through the plan endpoints. Safe to re-run, but
+// run it only once before enforcement: a 0 set on purpose later would be
+// reset too.
+//
+//   npm run migrate:match-caps
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Plan from "../models/Plan.js";
+import Subscription from "../models/Subscription.js";
+
+dotenv.config();
+
+const backfillMatchCaps = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const plans = await Plan.collection.updateMany(
+      { "limits.matchesAllowed": 0 },
+      { $set: { "limits.matchesAllowed": null } }
+    );
+    const subscriptions = await Subscription.collection.updateMany(
+      { matchesAllowed: 0 },
+      { $set: { matchesAllowed: null } }
+    );
+
+    console.log(`✅ Reset the match cap on ${plans.modifiedCount} plans and ${subscriptions.modifiedCount} subscriptions`);
+  } catch (error) {
+    console.error("❌ Match cap backfill failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+backfillMatchCaps();
@@ -0,0 +1,124 @@
+// scripts/migrateChatMessages.js
+// Moves messages embedded in chats.messages (and their replies) into the
+// messages collection, fills Chat.lastMessage / messageCount and drops the
+// embedded array. Safe to re-run: migrated messages keep their original _id,
+// so a second pass skips what is already there.
+//
+//   npm run migrate:messages
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Chat from "../models/Chat.js";
+import Message from "../models/Message.js";
+
+dotenv.config();
+
+const DUPLICATE_KEY = 11000;
+
+// Messages without a date fall back to when the chat was created
+const chatIdTime = (chatId) => chatId.getTimestamp();
+
+const toMessageDoc = (chatId, m, petitionId) => {
+  const sentAt = m.createdAt || chatIdTime(chatId);
+  return {
+    _id: m._id || new mongoose.Types.ObjectId(),
+    chatId,
+    from: m.from,
+    to: m.to,
+    message: m.message,
+    petitionId,
+    // Receipts weren't tracked before; count history as read so old chats
+    // don't show up with unread badges
+    status: "read",
+    deliveredAt: sentAt,
+    readAt: sentAt,
+    createdAt: sentAt,
+    updatedAt: sentAt
+  };
+};
+
+async function insertIgnoringDuplicates(docs) {
+  if (!docs.length) return 0;
+  try {
+    const result = await Message.collection.insertMany(docs, { ordered: false });
+    return result.insertedCount;
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some(e => e.code !== DUPLICATE_KEY)) throw error;
+    return error.result?.insertedCount ?? docs.length - writeErrors.length;
+  }
+}
+
+async function migrateChat(chat) {
+  const docs = [];
+  for (const m of chat.messages || []) {
+    if (!m?.from || !m?.to || !m?.message) continue;
+    const parent = toMessageDoc(chat._id, m, m.petitionId || null);
+    docs.push(parent);
+    // Old embedded replies become messages quoting their parent
+    for (const reply of m.replies || []) {
+      if (!reply?.from || !reply?.to || !reply?.message) continue;
+      docs.push({
+        ...toMessageDoc(chat._id, reply, null),
+        replyTo: {
+          messageId: parent._id,
+          petitionId: parent.petitionId,
+          from: parent.from,
+          message: parent.message.slice(0, 200),
+          attachmentType: null,
+          unsentAt: null
+        }
+      });
+    }
+  }
+
+  const inserted = await insertIgnoringDuplicates(docs);
+
+  const [latest, messageCount] = await Promise.all([
+    Message.findOne({ chatId: chat._id }).sort({ createdAt: -1, _id: -1 }).lean(),
+    Message.countDocuments({ chatId: chat._id })
+  ]);
+
+  await Chat.collection.updateOne(
+    { _id: chat._id },
+    {
+      $set: {
+        lastMessage: latest ? {
+          messageId: latest._id,
+          from: latest.from,
+          message: latest.message,
+          petitionId: latest.petitionId,
+          createdAt: latest.createdAt
+        } : null,
+        messageCount
+      },
+      $unset: { messages: "" }
+    }
+  );
+
+  return inserted;
+}
+
+const migrateChatMessages = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    await Message.syncIndexes();
+
+    // Raw collection: `messages` is no longer part of the Chat schema
+    const cursor = Chat.collection.find({ messages: { $exists: true } });
+    let chats = 0;
+    let messages = 0;
+    for await (const chat of cursor) {
+      messages += await migrateChat(chat);
+      chats += 1;
+    }
+
+    console.log(`✅ Migrated ${messages} messages from ${chats} chats`);
+  } catch (error) {
+    console.error("❌ Chat message migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateChatMessages();
@@ -37,9 +37,15 @@ import suscriptionPlanRoutes from "./routes/subscriptionplan.routes.js"
 import notificationRoutes from "./routes/notification.routes.js"
 import paymentRoutes from "./routes/payment.routes.js"
 import usageRoutes from "./routes/usage.routes.js"
+import callRoutes from "./routes/call.routes.js"
 import emailConfigRoutes from "./routes/emailconfig.routes.js"
 import xssClean from "./utils/xssClean.js";
 import zegoRoutes from "./routes/zego.routes.js";
+import { captureRawBody } from "./middleware/zegoMiddleware.js";
+import { startUsageSweeper } from "./services/callUsageService.js";
+import { startDigestScheduler } from "./services/digestService.js";
+import { isInlineUpload } from "./utils/chatAttachments.js";
+import { selectPendingBackend } from "./utils/pendingStore.js";
 // import limiter from "./utils/reteLimiter.js";
 
 
@@ -54,7 +60,8 @@ connectDB();
 const app = express();
 const httpServer = createServer(app);
 // ===== Middleware =====
-app.use(express.json()); 
+// Keep raw bytes for signed webhooks (ZEGO callbacks, payment provider events)
+app.use(express.json({ verify: captureRawBody })); 
 
 // 🔧 BOM Stripping Middleware (prevents UTF-8 BOM from causing parse or MIME issues)
 app.use((req, res, next) => {
@@ -151,6 +158,13 @@ if (process.env.NODE_ENV === "production") {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Chat files (anything but photos and voice notes) are downloaded, never opened in the browser
+app.use("/uploads/chat", express.static(path.join(__dirname, "uploads", "chat"), {
+  setHeaders: (res, filePath) => {
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    if (!isInlineUpload(path.basename(filePath))) res.setHeader("Content-Disposition", "attachment");
+  },
+}));
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
 // ===== Routes =====
@@ -244,6 +258,7 @@ app.use("/api/location", locationRoutes );
 app.use("/api/payments", paymentRoutes );
 app.use("/api/zego", zegoRoutes );
 app.use("/api/usage", usageRoutes );
+app.use("/api/calls", callRoutes );
 app.use("/api/email-configs", emailConfigRoutes );
 
 // ===== Root Route =====
@@ -276,6 +291,14 @@ if (process.env.NODE_ENV === 'production') {
   }, 24 * 60 * 60 * 1000); // Run daily
 }
 
+// Close call usage sessions abandoned by their clients
+startUsageSweeper();
+
+// Email digests of unread notifications/messages (production, or opt-in elsewhere)
+if (process.env.NODE_ENV === 'production' || process.env.EMAIL_DIGEST_ENABLED === 'true') {
+  startDigestScheduler();
+}
+
 // ===== Socket.IO Namespaces =====
 
 const chatNsp = io.of("/chat");
@@ -294,6 +317,12 @@ app.set("trust proxy", true);
 
 // await connectRedis(); // Temporarily disabled
 
+// Only connect when explicitly configured; pendingStore falls back to Mongo otherwise
+if (process.env.REDIS_URL) {
+  await connectRedis();
+}
+selectPendingBackend();
+
 
 
 // ===== Start Server =====
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Call from '../models/Call.js';
+import { closeSessionsForCall, openSessionsForCall } from './callUsageService.js';
+import { notifyMissedCall } from './notificationService.js';
+
+/**
+ * Call lifecycle backed by the Call model.
+ * initiated --accept--> ongoing --end--> ended
+ * initiated --reject/timeout/cancel/offline--> missed
+ * Every transition is a conditional update on the current status, so
+ * concurrent events (e.g. accept racing the ring timeout) resolve to one outcome.
+ */
+
+const FINAL_STATUSES = ['ended', 'missed'];
+
+// Read at call-time to avoid dotenv load-order issues
+export const getRingTimeoutMs = () => Number(process.env.CALL_RING_TIMEOUT_MS) || 45000;
+
+// The ZEGO room id is always generated here: a client-chosen one could point
+// at another pair's live room and take over its callbacks and tokens
+export async function createCall({ callerId, receiverId, type }) {
+  return Call.create({
+    type,
+    status: 'initiated',
+    callerId,
+    participants: [
+      { userId: callerId, role: 'caller' },
+      { userId: receiverId, role: 'callee' }
+    ],
+    zegoData: { roomId: `call_${uuidv4()}` }
+  });
+}
+
+/**
+ * Find a call the user takes part in, by id or (latest) by ZEGO room id
+ */
+export async function findCallForUser({ callId, roomId, userId }) {
+  if (callId) {
+    if (!mongoose.isValidObjectId(callId)) return null;
+    return Call.findOne({ _id: callId, 'participants.userId': userId });
+  }
+  if (!roomId) return null;
+  return Call.findOne({ 'zegoData.roomId': roomId, 'participants.userId': userId })
+    .sort({ createdAt: -1 });
+}
+
+// Latest call for a ZEGO room; clients may reuse a room id across calls
+export async function findLatestCallByRoom(roomId) {
+  return Call.findOne({ 'zegoData.roomId': roomId }).sort({ createdAt: -1 });
+}
+
+export async function acceptCall(callId) {
+  const now = new Date();
+  const accepted = await Call.findOneAndUpdate(
+    { _id: callId, status: 'initiated' },
+    { $set: { status: 'ongoing', startedAt: now, 'participants.$[].joinedAt': now } },
+    { new: true }
+  );
+  // Billing starts on answer for both sides, not when a client asks for it
+  if (accepted) await openSessionsForCall(accepted);
+  return accepted;
+}
+
+export async function missCall(callId, { reason, userId = null }) {
+  const missed = await Call.findOneAndUpdate(
+    { _id: callId, status: 'initiated' },
+    { $set: { status: 'missed', endedAt: new Date(), endedBy: userId, endReason: reason } },
+    { new: true }
+  );
+  // Nothing is billable on an unanswered call; just close any metering
+  if (missed) {
+    await closeSessionsForCall(missed._id, { endedAt: missed.endedAt, closedBy: 'call_end' });
+    // The callee chose to reject; every other outcome is a call they missed
+    const callee = missed.participants.find(p => p.role === 'callee');
+    if (reason !== 'rejected' && callee && missed.callerId) {
+      await notifyMissedCall({
+        fromUserId: missed.callerId,
+        toUserId: callee.userId,
+        callId: missed._id,
+        callType: missed.type
+      });
+    }
+  }
+  return missed;
+}
+
+/**
+ * End a call and reconcile its duration.
+ * Unanswered calls become missed, with `reason` or else 'cancelled' (by the
+ * caller); answered ones end with `reason` or else 'hangup'. If ZEGO already
+ * reported the session length, that wins over our own timestamps.
+ */
+export async function endCall(callId, { userId = null, reason = null } = {}) {
+  const call = await Call.findById(callId);
+  if (!call) return { call: null, alreadyEnded: false };
+  if (FINAL_STATUSES.includes(call.status)) return { call, alreadyEnded: true };
+
+  if (call.status === 'initiated') {
+    const missed = await missCall(callId, { reason: reason || 'cancelled', userId });
+    return { call: missed || await Call.findById(callId), alreadyEnded: !missed };
+  }
+
+  const endedAt = new Date();
+  const measured = call.startedAt ? Math.max(0, Math.round((endedAt - call.startedAt) / 1000)) : 0;
+  const duration = call.zegoData?.actualDuration > 0 ? call.zegoData.actualDuration : measured;
+
+  const ended = await Call.findOneAndUpdate(
+    { _id: callId, status: 'ongoing' },
+    {
+      $set: {
+        status: 'ended',
+        endedAt,
+        endedBy: userId,
+        endReason: reason || 'hangup',
+        duration,
+        'participants.$[].leftAt': endedAt
+      }
+    },
+    { new: true }
+  );
+  if (ended) await closeSessionsForCall(ended._id, { endedAt, closedBy: 'call_end' });
+  return { call: ended || await Call.findById(callId), alreadyEnded: !ended };
+}
+
+export const isFinal = (call) => FINAL_STATUSES.includes(call?.status);
+
+export default {
+  getRingTimeoutMs,
+  createCall,
+  findCallForUser,
+  findLatestCallByRoom,
+  acceptCall,
+  missCall,
+  endCall,
+  isFinal
+};
@@ -0,0 +1,187 @@
+import Call from '../models/Call.js';
+import CallUsageSession from '../models/CallUsageSession.js';
+import Subscription from '../models/Subscription.js';
+// Only used at runtime by the sweeper; callService imports this module too
+import { endCall } from './callService.js';
+
+/**
+ * Server-side call metering.
+ * Billable time is the overlap between the usage session and the answered part
+ * of the call (call.startedAt .. call.endedAt), capped at the quota that was left
+ * when the session opened. Nothing the client reports is trusted.
+ */
+
+// Read at call-time to avoid dotenv load-order issues
+const getSweepIntervalMs = () => Number(process.env.CALL_USAGE_SWEEP_INTERVAL_MS) || 60 * 1000;
+const getGraceSeconds = () => Number(process.env.CALL_USAGE_GRACE_SECONDS) || 120;
+
+/**
+ * Seconds of audio/video time left on the user's active subscription
+ */
+export async function getRemainingCallSeconds(userId, type) {
+  const sub = await Subscription.findOne({ userId, endDate: { $gt: new Date() } });
+  return sub ? remainingSeconds(sub, type) : 0;
+}
+
+function remainingSeconds(sub, type) {
+  const allowed = type === 'audio' ? (sub.audioTimeAllowed ?? 0) : (sub.videoTimeAllowed ?? 0);
+  const used = type === 'audio' ? (sub.audioTimeUsedTotal ?? 0) : (sub.videoTimeUsedTotal ?? 0);
+  return Math.max(0, Number(allowed) - Number(used));
+}
+
+const usageFields = (type, secs) => type === 'audio'
+  ? { audioTimeUsedTotal: secs, totalAudioUsed: secs }
+  : { videoTimeUsedTotal: secs, totalVideoUsed: secs };
+
+/**
+ * Open (or return the already open) session for this user on this call
+ */
+export async function openSession({ userId, call, subscription, remainingSec, startedAt = new Date() }) {
+  const existing = await CallUsageSession.findOne({ userId, callId: call._id, status: 'open' });
+  if (existing) return existing;
+
+  try {
+    return await CallUsageSession.create({
+      userId,
+      callId: call._id,
+      subscriptionId: subscription._id,
+      type: call.type,
+      startedAt,
+      maxSeconds: remainingSec
+    });
+  } catch (err) {
+    // Lost a race with a concurrent start for the same call
+    if (err?.code === 11000) {
+      return CallUsageSession.findOne({ userId, callId: call._id, status: 'open' });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Meter every participant of an answered call from the moment it was answered,
+ * whether or not their client ever called POST /api/usage/call/start.
+ * Participants who already have a session covering the answered call keep it;
+ * one stopped while the call was still ringing billed nothing and doesn't count.
+ */
+export async function openSessionsForCall(call) {
+  if (!call?.startedAt) return [];
+
+  const sessions = [];
+  for (const { userId } of call.participants) {
+    const metered = await CallUsageSession.exists({
+      userId,
+      callId: call._id,
+      $or: [{ status: 'open' }, { endedAt: { $gt: call.startedAt } }]
+    });
+    if (metered) continue;
+
+    const subscription = await Subscription.findOne({ userId, endDate: { $gt: call.startedAt } });
+    if (!subscription) continue;
+
+    sessions.push(await openSession({
+      userId,
+      call,
+      subscription,
+      remainingSec: remainingSeconds(subscription, call.type),
+      startedAt: call.startedAt
+    }));
+  }
+  return sessions.filter(Boolean);
+}
+
+function computeBillableSeconds(session, call, endedAt) {
+  if (!call?.startedAt) return 0; // never answered
+
+  const begin = Math.max(session.startedAt.getTime(), call.startedAt.getTime());
+  const end = Math.min(endedAt.getTime(), (call.endedAt || endedAt).getTime());
+  const secs = Math.round((end - begin) / 1000);
+  return Math.min(Math.max(0, secs), session.maxSeconds);
+}
+
+/**
+ * Close a session and charge its subscription. Returns null if it was already closed.
+ */
+export async function closeSession(session, { endedAt = new Date(), closedBy }) {
+  const call = await Call.findById(session.callId);
+  const chargedSeconds = computeBillableSeconds(session, call, endedAt);
+
+  const closed = await CallUsageSession.findOneAndUpdate(
+    { _id: session._id, status: 'open' },
+    { $set: { status: 'closed', endedAt, chargedSeconds, closedBy } },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  if (chargedSeconds > 0) {
+    await Subscription.updateOne(
+      { _id: closed.subscriptionId },
+      { $inc: usageFields(closed.type, chargedSeconds) }
+    );
+  }
+
+  console.log(`⏱️ Call usage charged: ${chargedSeconds}s ${closed.type} for user ${closed.userId} (${closedBy})`);
+  return closed;
+}
+
+export async function closeSessionsForCall(callId, { endedAt = new Date(), closedBy }) {
+  const sessions = await CallUsageSession.find({ callId, status: 'open' });
+  const results = [];
+  for (const session of sessions) {
+    results.push(await closeSession(session, { endedAt, closedBy }));
+  }
+  return results.filter(Boolean);
+}
+
+/**
+ * Close sessions whose call already finished. A session that outlived its quota
+ * (no end event arrived) ends its call too, which bills every participant;
+ * the call can't keep running unmetered.
+ */
+export async function sweepAbandonedSessions() {
+  const now = Date.now();
+  const sessions = await CallUsageSession.find({ status: 'open' }).limit(500);
+  let closedCount = 0;
+
+  for (const session of sessions) {
+    const call = await Call.findById(session.callId).select('status endedAt');
+    const callFinished = !call || ['ended', 'missed'].includes(call.status);
+    const quotaDeadline = session.startedAt.getTime() + session.maxSeconds * 1000;
+
+    if (!callFinished) {
+      if (now <= quotaDeadline + getGraceSeconds() * 1000) continue;
+      const { call: ended, alreadyEnded } = await endCall(call._id, { reason: 'quota_exhausted' });
+      if (ended && !alreadyEnded) {
+        console.log(`⛔ Call ${call._id} ended by the sweeper: allowance exhausted`);
+        closedCount++;
+        continue;
+      }
+    }
+
+    const endedAt = call?.endedAt || new Date(Math.min(now, quotaDeadline));
+    if (await closeSession(session, { endedAt, closedBy: 'sweeper' })) {
+      closedCount++;
+    }
+  }
+
+  if (closedCount > 0) console.log(`🧹 Closed ${closedCount} abandoned call usage session(s)`);
+  return closedCount;
+}
+
+export function startUsageSweeper() {
+  const timer = setInterval(() => {
+    sweepAbandonedSessions().catch(err => console.error('Call usage sweeper error:', err));
+  }, getSweepIntervalMs());
+  timer.unref?.();
+  return timer;
+}
+
+export default {
+  getRemainingCallSeconds,
+  openSession,
+  openSessionsForCall,
+  closeSession,
+  closeSessionsForCall,
+  sweepAbandonedSessions,
+  startUsageSweeper
+};
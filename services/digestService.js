@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Message from '../models/Message.js';
+import Chat from '../models/Chat.js';
+import { sendMail } from '../utils/mailSender.js';
+import { NOTIFICATION_TYPES, wantsEmail } from '../utils/notificationPreferences.js';
+
+/**
+ * Email digest of unread notifications and new chat messages.
+ * Runs on an interval; each user is due once per day or week depending on
+ * notificationPreferences.digest, and is claimed atomically before sending so
+ * several instances never email the same user twice.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const UNSUBSCRIBE_PURPOSE = 'digest_unsubscribe';
+
+// Read at call-time to avoid dotenv load-order issues
+const getIntervalMs = () => Number(process.env.EMAIL_DIGEST_INTERVAL_MS) || 60 * 60 * 1000;
+// Never sign with JWT_SECRET itself: these tokens don't expire and must not pass as login tokens
+const getUnsubscribeSecret = () => process.env.DIGEST_UNSUBSCRIBE_SECRET
+  || crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(UNSUBSCRIBE_PURPOSE).digest('hex');
+const getBaseUrl = () => (process.env.BASE_URL || '').replace(/\/$/, '');
+
+// Unsubscribe links carry no expiry so old emails keep working
+export const createUnsubscribeToken = (userId) =>
+  jwt.sign({ id: userId.toString(), purpose: UNSUBSCRIBE_PURPOSE }, getUnsubscribeSecret());
+
+export function verifyUnsubscribeToken(token) {
+  try {
+    const decoded = jwt.verify(token, getUnsubscribeSecret());
+    return decoded.purpose === UNSUBSCRIBE_PURPOSE ? decoded.id : null;
+  } catch {
+    return null;
+  }
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Same rules as the unread badges (messageService.getUnreadCounts): still unread,
+// not unsent, not deleted by the user and not before they cleared the chat
+async function unreadMessagesMatch(userId, since) {
+  const clearedChats = await Chat.find({
+    $or: [{ from: userId }, { to: userId }],
+    [`clearedAt.${userId}`]: { $gt: since }
+  }).select('clearedAt').lean();
+
+  const match = { to: userId, createdAt: { $gt: since }, readAt: null, unsentAt: null, hiddenFor: { $ne: userId } };
+  if (clearedChats.length) {
+    match.$nor = clearedChats.map(chat => ({ chatId: chat._id, createdAt: { $lte: chat.clearedAt[userId.toString()] } }));
+  }
+  return match;
+}
+
+// Only types the user gets email for; nothing at all during their quiet hours
+async function collectDigest(user, since, now) {
+  const prefs = user.notificationPreferences;
+  const emailTypes = NOTIFICATION_TYPES.filter(type => wantsEmail(prefs, type, now));
+
+  const notifications = emailTypes.length
+    ? await Notification.find({ userId: user._id, isRead: false, type: { $in: emailTypes }, createdAt: { $gt: since } })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean()
+    : [];
+
+  const messages = !emailTypes.includes('message') ? [] : await Message.aggregate([
+    { $match: await unreadMessagesMatch(user._id, since) },
+    { $group: { _id: '$from', count: { $sum: 1 }, lastAt: { $max: '$createdAt' } } },
+    { $sort: { lastAt: -1 } },
+    { $limit: 10 },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'sender' } },
+    { $unwind: '$sender' },
+    { $project: { count: 1, name: { $concat: ['$sender.Name.firstName', ' ', '$sender.Name.lastName'] } } }
+  ]);
+
+  return { notifications, messages };
+}
+
+function renderDigest(user, frequency, { notifications, messages }) {
+  const unsubscribeUrl = `${getBaseUrl()}/api/user/digest/unsubscribe?token=${createUnsubscribeToken(user._id)}`;
+  const messageTotal = messages.reduce((sum, m) => sum + m.count, 0);
+
+  const messageRows = messages
+    .map(m => `<li>${m.count} new message${m.count > 1 ? 's' : ''} from <b>${escapeHtml(m.name)}</b></li>`)
+    .join('');
+  const notificationRows = notifications
+    .map(n => `<li>${escapeHtml(n.text)}</li>`)
+    .join('');
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+      <h2>Hi ${escapeHtml(user.Name?.firstName)}, here's what you missed on ShyEyes 👁️</h2>
+      ${messageTotal ? `<h3>Messages (${messageTotal})</h3><ul>${messageRows}</ul>` : ''}
+      ${notifications.length ? `<h3>Notifications (${notifications.length})</h3><ul>${notificationRows}</ul>` : ''}
+      <br/>
+      <small style="color: #666;">
+        You receive this ${frequency} summary because of your notification settings.
+        <a href="${unsubscribeUrl}">Unsubscribe from digest emails</a>
+      </small>
+    </div>
+  `;
+}
+
+/**
+ * Build and send one user's digest. Returns true if an email went out.
+ */
+export async function sendDigestForUser(user, now = new Date()) {
+  const frequency = user.notificationPreferences?.digest || 'daily';
+  const periodMs = PERIOD_MS[frequency];
+  if (!periodMs) return false;
+
+  const since = user.lastDigestSentAt || new Date(now.getTime() - periodMs);
+  const content = await collectDigest(user, since, now);
+  // Also the case during quiet hours: try again next run
+  if (!content.notifications.length && !content.messages.length) return false;
+
+  // Claim this user's digest; another instance may have just sent it
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, lastDigestSentAt: user.lastDigestSentAt ?? null },
+    { $set: { lastDigestSentAt: now } }
+  );
+  if (!claimed) return false;
+
+  const result = await sendMail(user.email, `Your ${frequency} ShyEyes summary`, renderDigest(user, frequency, content));
+  if (!result?.success) {
+    // Release the claim so the next run retries
+    await User.updateOne({ _id: user._id, lastDigestSentAt: now }, { $set: { lastDigestSentAt: user.lastDigestSentAt ?? null } });
+    console.error(`❌ Digest email failed for ${user.email}:`, result?.error);
+    return false;
+  }
+  return true;
+}
+
+export async function runDigest(now = new Date()) {
+  let sent = 0;
+  const cursor = User.find({
+    status: 'Active',
+    emailVerified: true,
+    'notificationPreferences.digest': { $ne: 'off' },
+    $or: [
+      { lastDigestSentAt: null },
+      { 'notificationPreferences.digest': 'weekly', lastDigestSentAt: { $lte: new Date(now.getTime() - PERIOD_MS.weekly) } },
+      { 'notificationPreferences.digest': { $ne: 'weekly' }, lastDigestSentAt: { $lte: new Date(now.getTime() - PERIOD_MS.daily) } }
+    ]
+  })
+    .select('Name email notificationPreferences lastDigestSentAt')
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    try {
+      if (await sendDigestForUser(user, now)) sent++;
+    } catch (err) {
+      console.error('Digest error for user', user._id.toString(), err);
+    }
+  }
+
+  if (sent > 0) console.log(`📬 Sent ${sent} digest email(s)`);
+  return sent;
+}
+
+let running = false;
+
+export function startDigestScheduler() {
+  const timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await runDigest();
+    } catch (err) {
+      console.error('Digest scheduler error:', err);
+    } finally {
+      running = false;
+    }
+  }, getIntervalMs());
+  timer.unref?.();
+  return timer;
+}
+
+export default {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  sendDigestForUser,
+  runDigest,
+  startDigestScheduler
+};
@@ -0,0 +1,124 @@
+import Subscription from '../models/Subscription.js';
+
+/**
+ * Per-subscription-period caps on matches, likes, friend requests and chat
+ * media attachments.
+ * Each feature maps to an "allowed" value copied from the plan when the
+ * subscription is created (null = unlimited) and a "used" counter that starts
+ * at 0 with every new subscription. Usage is consumed with a single
+ * conditional update, so concurrent requests can never overshoot the cap.
+ */
+
+export const LIMIT_REACHED = 'LIMIT_REACHED';
+
+const FEATURES = {
+  matches: { allowed: 'matchesAllowed', used: 'matchesUsed', label: 'match' },
+  likes: { allowed: 'likesAllowed', used: 'likesUsed', label: 'like' },
+  friendRequests: { allowed: 'friendRequestsAllowed', used: 'friendRequestsUsed', label: 'friend request' },
+  media: { allowed: 'mediaAllowed', used: 'mediaUsed', label: 'media attachment' }
+};
+
+const isBypassed = () => process.env.BYPASS_SUBSCRIPTION_CHECKS === 'true';
+
+const getActiveSubscription = (userId) =>
+  Subscription.findOne({ userId, endDate: { $gt: new Date() } }).sort({ startDate: -1 });
+
+const describe = (sub, feature) => {
+  const { allowed, used } = FEATURES[feature];
+  const limit = sub[allowed] ?? null;
+  const usedCount = sub[used] ?? 0;
+  return {
+    limit,
+    used: usedCount,
+    remaining: limit === null ? null : Math.max(0, limit - usedCount)
+  };
+};
+
+/**
+ * Allowed / used / remaining for every capped feature of a subscription
+ */
+export const summarizeEntitlements = (sub) =>
+  Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, describe(sub, feature)]));
+
+/**
+ * Use `amount` units (default one) of `feature` for the user's active subscription.
+ * Returns { ok: true, subscriptionId, amount, ... } or
+ * { ok: false, code: LIMIT_REACHED, feature, limit, used, message }.
+ */
+export async function consume(userId, feature, amount = 1) {
+  const config = FEATURES[feature];
+  if (!config) throw new Error(`Unknown entitlement feature: ${feature}`);
+  if (isBypassed()) return { ok: true, bypassed: true };
+
+  // Without an active subscription the allowance is zero
+  const sub = await getActiveSubscription(userId);
+  if (!sub) {
+    return {
+      ok: false,
+      code: LIMIT_REACHED,
+      feature,
+      limit: 0,
+      used: 0,
+      message: 'No active subscription'
+    };
+  }
+
+  const updated = await Subscription.findOneAndUpdate(
+    {
+      _id: sub._id,
+      endDate: { $gt: new Date() },
+      $or: [
+        { [config.allowed]: null },
+        { $expr: { $lte: [{ $add: [{ $ifNull: [`$${config.used}`, 0] }, amount] }, `$${config.allowed}`] } }
+      ]
+    },
+    { $inc: { [config.used]: amount } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const { limit, used } = describe(sub, feature);
+    return {
+      ok: false,
+      code: LIMIT_REACHED,
+      feature,
+      limit,
+      used,
+      message: `You have reached your ${config.label} limit for this subscription period`
+    };
+  }
+
+  return { ok: true, subscriptionId: updated._id, amount, ...describe(updated, feature) };
+}
+
+/**
+ * Give back what consume() took when the action it paid for didn't happen
+ */
+export async function release(userId, feature, grant) {
+  const config = FEATURES[feature];
+  if (!config || !grant?.subscriptionId) return;
+  const amount = grant.amount || 1;
+  await Subscription.updateOne(
+    { _id: grant.subscriptionId, userId, [config.used]: { $gte: amount } },
+    { $inc: { [config.used]: -amount } }
+  );
+}
+
+// Consistent 403 body for a failed consume()
+export const sendEntitlementError = (res, result) =>
+  res.status(403).json({
+    success: false,
+    code: result.code,
+    feature: result.feature,
+    limit: result.limit ?? null,
+    used: result.used ?? null,
+    message: result.message
+  });
+
+export default {
+  LIMIT_REACHED,
+  summarizeEntitlements,
+  consume,
+  release,
+  sendEntitlementError
+};
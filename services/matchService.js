@@ -0,0 +1,65 @@
+import Match from '../models/Match.js';
+import User from '../models/User.js';
+import { notifyMatch, pushToUser } from './notificationService.js';
+
+// Stable ordering so a pair maps to a single Match document
+const orderPair = (a, b) => (a.toString() < b.toString() ? [a, b] : [b, a]);
+
+async function adjustMatchCount(userIds, delta) {
+  const filter = delta < 0 ? { _id: { $in: userIds }, matchCount: { $gt: 0 } } : { _id: { $in: userIds } };
+  await User.updateMany(filter, { $inc: { matchCount: delta } });
+}
+
+/**
+ * Activate the match for a mutual like. Returns { match, created } where
+ * created is false if the pair was already matched.
+ */
+export async function createMatch(userA, userB) {
+  const [user1, user2] = orderPair(userA, userB);
+  let match;
+  try {
+    match = await Match.findOneAndUpdate(
+      { user1, user2, status: { $ne: 'active' } },
+      { $set: { status: 'active', matchedAt: new Date(), dissolvedAt: null, dissolvedReason: null } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // The upsert collides with the unique pair index when a match is already active
+    if (err?.code === 11000) {
+      return { match: await Match.findOne({ user1, user2 }), created: false };
+    }
+    throw err;
+  }
+
+  await adjustMatchCount([user1, user2], 1);
+
+  for (const [userId, peerId] of [[userA, userB], [userB, userA]]) {
+    pushToUser(userId, 'match:new', { matchId: match._id, userId: peerId, matchedAt: match.matchedAt });
+    await notifyMatch({ fromUserId: peerId, toUserId: userId, matchId: match._id });
+  }
+  return { match, created: true };
+}
+
+/**
+ * Dissolve an active match (unlike or block). Returns the match, or null if none was active.
+ */
+export async function dissolveMatch(userA, userB, reason) {
+  const [user1, user2] = orderPair(userA, userB);
+  const match = await Match.findOneAndUpdate(
+    { user1, user2, status: 'active' },
+    { $set: { status: 'dissolved', dissolvedAt: new Date(), dissolvedReason: reason } },
+    { new: true }
+  );
+  if (!match) return null;
+
+  await adjustMatchCount([user1, user2], -1);
+  for (const [userId, peerId] of [[userA, userB], [userB, userA]]) {
+    pushToUser(userId, 'match:dissolved', { matchId: match._id, userId: peerId });
+  }
+  return match;
+}
+
+export default {
+  createMatch,
+  dissolveMatch
+};
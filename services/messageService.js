@@ -0,0 +1,389 @@
+import mongoose from 'mongoose';
+import Chat, { chatPairKey } from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { isBlockedBetween, BLOCKED_MESSAGE } from '../utils/blockList.js';
+
+/**
+ * Chat messages are stored one document each in models/Message.js. The
+ * conversation (models/Chat.js) keeps a copy of the latest message and a
+ * counter so the conversation list never has to read the history.
+ */
+
+export const DEFAULT_PAGE_SIZE = 30;
+export const MAX_PAGE_SIZE = 100;
+// Most message ids accepted in one delivery/read ack
+const MAX_ACK_BATCH = 500;
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+// Quotes only carry the start of the replied-to text
+const QUOTE_LENGTH = 200;
+const MAX_EMOJI_LENGTH = 16;
+const EMOJI = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const PICTOGRAPHIC = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// How long after sending a message can still be edited (CHAT_EDIT_WINDOW_MINUTES, default 15)
+export const getEditWindowMs = () => (Number(process.env.CHAT_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+export const findChatBetween = (userA, userB) => Chat.findOne({
+  $or: [
+    { from: userA, to: userB },
+    { from: userB, to: userA }
+  ]
+});
+
+/**
+ * The conversation between `from` and `to`, created on first contact. A single
+ * upsert on the unique pairKey, so two first messages racing each other can't
+ * open two conversations; chats from before pairKey get it set on the way.
+ */
+export async function findOrCreateChat(from, to) {
+  const pairKey = chatPairKey(from, to);
+  const filter = {
+    $or: [
+      { pairKey },
+      { from, to },
+      { from: to, to: from }
+    ]
+  };
+  try {
+    return await Chat.findOneAndUpdate(
+      filter,
+      { $set: { pairKey }, $setOnInsert: { from, to } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // The other upsert inserted first
+    if (err?.code === 11000) return Chat.findOne({ pairKey });
+    throw err;
+  }
+}
+
+/**
+ * Store a message (text and/or attachments) in the conversation between
+ * `from` and `to`, creating the conversation on first contact.
+ * Returns { chat, message }.
+ */
+export async function saveMessage({ from, to, message = '', attachments = [], replyTo = null, petitionId = null }) {
+  const chat = await findOrCreateChat(from, to);
+  const saved = await Message.create({ chatId: chat._id, from, to, message, attachments, replyTo, petitionId });
+
+  await Chat.updateOne(
+    { _id: chat._id },
+    {
+      $set: {
+        lastMessage: {
+          messageId: saved._id,
+          from: saved.from,
+          message: saved.message,
+          petitionId: saved.petitionId,
+          createdAt: saved.createdAt,
+          attachmentType: saved.attachments[0]?.type || null
+        },
+        isActive: true
+      },
+      $inc: { messageCount: 1 }
+    }
+  );
+
+  return { chat, message: saved };
+}
+
+// `before` is the id of the oldest message the client already has, or a date
+async function resolveCursor(chatId, before) {
+  if (mongoose.isValidObjectId(before)) {
+    const anchor = await Message.findOne({ _id: before, chatId }).select('createdAt').lean();
+    return anchor ? { createdAt: anchor.createdAt, id: anchor._id } : null;
+  }
+  const date = new Date(before);
+  return Number.isNaN(date.getTime()) ? null : { createdAt: date };
+}
+
+/**
+ * One page of a conversation for `userId`, newest page first, messages in
+ * chronological order. Messages from before the user cleared the chat are
+ * left out. Returns { messages, hasMore, nextCursor } or { error }.
+ */
+export async function getMessagePage(chat, userId, { before, limit } = {}) {
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || DEFAULT_PAGE_SIZE));
+  const conditions = [{ chatId: chat._id, hiddenFor: { $ne: userId } }];
+
+  const clearedAt = chat.clearedAt?.get?.(userId.toString());
+  if (clearedAt) conditions.push({ createdAt: { $gt: clearedAt } });
+
+  if (before) {
+    const cursor = await resolveCursor(chat._id, before);
+    if (!cursor) return { error: 'Invalid before cursor' };
+
+    // Same-millisecond messages are ordered by id so none are skipped
+    conditions.push(cursor.id
+      ? { $or: [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }] }
+      : { createdAt: { $lt: cursor.createdAt } });
+  }
+
+  const page = await Message.find({ $and: conditions })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('from', 'name email profilePic')
+    .populate('to', 'name email profilePic')
+    .lean();
+
+  const hasMore = page.length > pageSize;
+  const messages = page.slice(0, pageSize).reverse();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore ? messages[0]._id : null
+  };
+}
+
+const cleanAckIds = (ids) => (Array.isArray(ids)
+  ? [...new Set(ids.filter(id => typeof id === 'string' && id))].slice(0, MAX_ACK_BATCH)
+  : []);
+
+// Apply an ack to the messages `senderId` sent to `recipientId`; returns the
+// petitionIds that were actually updated so repeats are not re-announced
+async function applyAck(recipientId, senderId, messageIds, field, update) {
+  const ids = cleanAckIds(messageIds);
+  if (!ids.length) return [];
+
+  const chat = await findChatBetween(recipientId, senderId);
+  if (!chat) return [];
+
+  const filter = { chatId: chat._id, from: senderId, to: recipientId, petitionId: { $in: ids }, [field]: null };
+  const pending = await Message.find(filter).distinct('petitionId');
+  if (!pending.length) return [];
+
+  await Message.updateMany({ ...filter, petitionId: { $in: pending } }, update);
+  return pending;
+}
+
+/**
+ * The recipient's client received these messages.
+ * Returns { messageIds, deliveredAt } for the ones not acked before.
+ */
+export async function markDelivered(recipientId, senderId, messageIds) {
+  const deliveredAt = new Date();
+  const updated = await applyAck(recipientId, senderId, messageIds, 'deliveredAt', {
+    $set: { deliveredAt, status: 'delivered' }
+  });
+  return { messageIds: updated, deliveredAt };
+}
+
+/**
+ * The recipient has seen these messages; a read also counts as delivered.
+ * Returns { messageIds, readAt } for the ones not read before.
+ */
+export async function markRead(readerId, senderId, messageIds) {
+  const readAt = new Date();
+  const updated = await applyAck(readerId, senderId, messageIds, 'readAt', [
+    { $set: { readAt, status: 'read', deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } }
+  ]);
+  return { messageIds: updated, readAt };
+}
+
+/**
+ * Unread messages addressed to `userId` in each of `chats`, skipping what the
+ * user has cleared. Returns a Map of chatId -> count.
+ */
+export async function getUnreadCounts(userId, chats) {
+  if (!chats.length) return new Map();
+
+  const recipient = new mongoose.Types.ObjectId(userId.toString());
+  const scopes = chats.map(chat => {
+    const clearedAt = chat.clearedAt?.get?.(userId.toString());
+    return clearedAt ? { chatId: chat._id, createdAt: { $gt: clearedAt } } : { chatId: chat._id };
+  });
+
+  const counts = await Message.aggregate([
+    { $match: { to: recipient, readAt: null, unsentAt: null, hiddenFor: { $ne: recipient }, $or: scopes } },
+    { $group: { _id: '$chatId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+}
+
+/**
+ * A message of the conversation `userId` takes part in, by its _id (the `id`
+ * clients get with every message). petitionIds are only unique per sender, so
+ * they are never used to pick a message to change.
+ */
+export const findUserMessage = (userId, messageId) => {
+  if (typeof messageId !== 'string' || !OBJECT_ID.test(messageId)) return null;
+  return Message.findOne({ _id: messageId, $or: [{ from: userId }, { to: userId }] });
+};
+
+const quoteOf = (message) => ({
+  messageId: message._id,
+  petitionId: message.petitionId,
+  from: message.from,
+  message: (message.message || '').slice(0, QUOTE_LENGTH),
+  attachmentType: message.attachments?.[0]?.type || null,
+  unsentAt: message.unsentAt || null
+});
+
+/**
+ * The message `replyTo` (its _id) quotes, as stored on the reply.
+ * It must belong to the conversation between `from` and `to` and still be
+ * there. Returns { replyTo } or { error, status }.
+ */
+export async function resolveReplyTo(from, to, replyTo) {
+  if (typeof replyTo !== 'string' || !OBJECT_ID.test(replyTo)) return { error: 'replyTo must be a message id', status: 400 };
+
+  const chat = await findChatBetween(from, to);
+  const quoted = chat && await Message.findOne({ _id: replyTo, chatId: chat._id, unsentAt: null }).lean();
+  if (!quoted) return { error: 'The message you are replying to was not found', status: 404 };
+
+  return { replyTo: quoteOf(quoted) };
+}
+
+// Replies carry a copy of what they quote; refresh it after an edit or unsend
+const syncQuotes = (message) => Message.updateMany(
+  { 'replyTo.messageId': message._id },
+  { $set: { replyTo: quoteOf(message) } }
+);
+
+// Keep the conversation list preview in step when its message changes
+const syncLastMessage = (message) => Chat.updateOne(
+  { _id: message.chatId, 'lastMessage.messageId': message._id },
+  {
+    $set: {
+      'lastMessage.message': message.message,
+      'lastMessage.attachmentType': message.attachments[0]?.type || null,
+      'lastMessage.unsentAt': message.unsentAt
+    }
+  }
+);
+
+// What the other participant (and the user's other tabs) receive live
+export const toMessageEvent = (message) => ({
+  id: message._id,
+  messageId: message.petitionId || message._id,
+  chatId: message.chatId,
+  from: message.from,
+  to: message.to,
+  message: message.message,
+  attachments: message.attachments,
+  replyTo: message.replyTo,
+  reactions: message.reactions,
+  editedAt: message.editedAt,
+  unsentAt: message.unsentAt
+});
+
+// Same answer as sending to someone on either side of a block
+const blockedError = () => ({ error: BLOCKED_MESSAGE, status: 403, code: 'BLOCKED' });
+
+/**
+ * Sender edits the text within the edit window. Usage counters are not
+ * touched. Returns { message } or { error, status }.
+ */
+export async function editMessage(userId, messageId, text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) return { error: 'Message text is required', status: 400 };
+
+  const message = await findUserMessage(userId, messageId);
+  if (!message) return { error: 'Message not found', status: 404 };
+  if (message.from.toString() !== userId.toString()) {
+    return { error: 'You can only edit your own messages', status: 403 };
+  }
+  if (message.unsentAt) return { error: 'This message was unsent', status: 409 };
+  if (Date.now() - message.createdAt.getTime() > getEditWindowMs()) {
+    return { error: 'This message can no longer be edited', status: 403 };
+  }
+  if (await isBlockedBetween(message.from, message.to)) return blockedError();
+  if (message.message === trimmed) return { message };
+
+  message.message = trimmed;
+  message.editedAt = new Date();
+  await message.save();
+  await Promise.all([syncLastMessage(message), syncQuotes(message)]);
+  return { message };
+}
+
+/**
+ * Sender removes the message for both sides, leaving a tombstone.
+ * Usage counters are not refunded. Returns { message } or { error, status }.
+ */
+export async function unsendMessage(userId, messageId) {
+  const message = await findUserMessage(userId, messageId);
+  if (!message) return { error: 'Message not found', status: 404 };
+  if (message.from.toString() !== userId.toString()) {
+    return { error: 'You can only unsend your own messages', status: 403 };
+  }
+  if (message.unsentAt) return { message };
+
+  message.unsentAt = new Date();
+  message.message = '';
+  message.attachments = [];
+  message.reactions = [];
+  await message.save();
+  await Promise.all([syncLastMessage(message), syncQuotes(message)]);
+  return { message };
+}
+
+/**
+ * Hide a message from the user's own view only.
+ * Returns { message } or { error, status }.
+ */
+export async function hideMessage(userId, messageId) {
+  const message = await findUserMessage(userId, messageId);
+  if (!message) return { error: 'Message not found', status: 404 };
+
+  await Message.updateOne({ _id: message._id }, { $addToSet: { hiddenFor: userId } });
+  return { message };
+}
+
+export const isValidEmoji = (emoji) => typeof emoji === 'string'
+  && emoji.length <= MAX_EMOJI_LENGTH
+  && EMOJI.test(emoji)
+  && PICTOGRAPHIC.test(emoji)
+  && [...graphemes.segment(emoji)].length === 1;
+
+/**
+ * Add the user's `emoji` reaction to a message, or take it back if it is
+ * already there. Returns { message, added } or { error, status }.
+ */
+export async function toggleReaction(userId, messageId, emoji) {
+  if (!isValidEmoji(emoji)) return { error: 'emoji must be a single emoji', status: 400 };
+
+  const message = await findUserMessage(userId, messageId);
+  if (!message) return { error: 'Message not found', status: 404 };
+  if (message.unsentAt) return { error: 'This message was unsent', status: 409 };
+  if (await isBlockedBetween(message.from, message.to)) return blockedError();
+
+  const reaction = { userId: new mongoose.Types.ObjectId(userId.toString()), emoji };
+
+  // Conditional push so a double tap can't add the same reaction twice
+  let updated = await Message.findOneAndUpdate(
+    { _id: message._id, unsentAt: null, reactions: { $not: { $elemMatch: reaction } } },
+    { $push: { reactions: { ...reaction, createdAt: new Date() } } },
+    { new: true }
+  );
+  let added = true;
+  if (!updated) {
+    updated = await Message.findOneAndUpdate(
+      { _id: message._id },
+      { $pull: { reactions: reaction } },
+      { new: true }
+    );
+    added = false;
+  }
+  return { message: updated, added };
+}
+
+export default {
+  findChatBetween,
+  findOrCreateChat,
+  saveMessage,
+  getMessagePage,
+  markDelivered,
+  markRead,
+  getUnreadCounts,
+  findUserMessage,
+  toMessageEvent,
+  editMessage,
+  unsendMessage,
+  hideMessage,
+  resolveReplyTo,
+  isValidEmoji,
+  toggleReaction
+};
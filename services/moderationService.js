@@ -0,0 +1,81 @@
+import User from '../models/User.js';
+import { notify } from './notificationService.js';
+
+/**
+ * Account-level moderation outcomes (warn / suspend / ban) shared by report
+ * resolution and the login check. Suspensions and bans use the same block
+ * fields as Role (blockReason, blockedAt, blockedBy).
+ */
+
+const DEFAULT_SUSPEND_DAYS = 7;
+const MAX_SUSPEND_DAYS = 365;
+
+export const getSuspendDays = (days) => {
+  const n = Number(days);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_SUSPEND_DAYS;
+  return Math.min(Math.ceil(n), MAX_SUSPEND_DAYS);
+};
+
+const systemNotice = (userId, text) =>
+  notify({ userId, type: 'system', text }).catch(err => console.error('moderation notification error:', err));
+
+/**
+ * Apply `action` to the user. Returns the updated user, or null if not found.
+ */
+export async function applyModerationAction({ userId, action, actorId, reason, suspendDays }) {
+  switch (action) {
+    case 'warn': {
+      const user = await User.findByIdAndUpdate(userId, { $inc: { warningCount: 1 } }, { new: true });
+      if (user) await systemNotice(userId, 'You received a warning for violating our community guidelines');
+      return user;
+    }
+    case 'suspend': {
+      const suspendedUntil = new Date(Date.now() + getSuspendDays(suspendDays) * 24 * 60 * 60 * 1000);
+      return User.findByIdAndUpdate(userId, {
+        status: 'Suspended',
+        suspendedUntil,
+        blockReason: reason || 'Suspended by moderator',
+        blockedAt: new Date(),
+        blockedBy: actorId
+      }, { new: true });
+    }
+    case 'ban':
+      return User.findByIdAndUpdate(userId, {
+        status: 'Banned',
+        suspendedUntil: null,
+        blockReason: reason || 'Banned by moderator',
+        blockedAt: new Date(),
+        blockedBy: actorId
+      }, { new: true });
+    default:
+      return User.findById(userId);
+  }
+}
+
+/**
+ * Reactivate a suspended user whose suspension has run out.
+ * Returns true if the user is active afterwards.
+ */
+export async function liftExpiredSuspension(user) {
+  if (user.status !== 'Suspended') return user.status === 'Active';
+  if (user.suspendedUntil && user.suspendedUntil > new Date()) return false;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, status: 'Suspended' },
+    {
+      status: 'Active',
+      suspendedUntil: null,
+      unblockedAt: new Date(),
+      $unset: { blockReason: 1, blockedAt: 1, blockedBy: 1 }
+    },
+    { new: true }
+  );
+  if (updated) user.status = 'Active';
+  return user.status === 'Active';
+}
+
+export default {
+  getSuspendDays,
+  applyModerationAction,
+  liftExpiredSuspension
+};
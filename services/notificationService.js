@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { wantsInApp, isInQuietHours } from '../utils/notificationPreferences.js';
+
+/**
+ * Server-side notifications: persist, then push to the recipient's room
+ * on the /notification namespace (set by sockets/notification.namespace.js).
+ * Controllers and socket handlers call these after their own work succeeds;
+ * a failed notification is logged and never fails the caller.
+ */
+
+let notificationNsp = null;
+
+export const setNotificationNamespace = (nsp) => {
+  notificationNsp = nsp;
+};
+
+export const getUnreadCount = (userId) => Notification.countDocuments({ userId, isRead: false });
+
+// Every open tab of the user sits in the same room, so counters stay in sync
+async function pushUnreadCount(userId) {
+  if (!notificationNsp) return;
+  const count = await getUnreadCount(userId);
+  notificationNsp.to(userId.toString()).emit('notification:unread_count', { count });
+}
+
+/**
+ * Store a notification and push it, honouring the recipient's preferences:
+ * nothing is created when in-app is off for the type, and during quiet hours
+ * it is stored but not pushed. Returns null when skipped.
+ */
+export async function notify({ userId, type, fromUserId = null, referenceId = null, text }) {
+  const recipient = await User.findById(userId).select('notificationPreferences').lean();
+  const prefs = recipient?.notificationPreferences;
+  if (!wantsInApp(prefs, type)) return null;
+
+  const notification = await Notification.create({ userId, type, fromUserId, referenceId, text });
+  if (!isInQuietHours(prefs)) {
+    notificationNsp?.to(userId.toString()).emit('notification:new', notification);
+    await pushUnreadCount(userId);
+  }
+  return notification;
+}
+
+// Push a realtime event without storing a notification
+export const pushToUser = (userId, event, payload) => {
+  notificationNsp?.to(userId.toString()).emit(event, payload);
+};
+
+/**
+ * Mark one of the user's notifications read. Returns null if it isn't theirs.
+ */
+export async function markRead(userId, notificationId) {
+  if (!mongoose.isValidObjectId(notificationId)) return null;
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, userId },
+    { isRead: true },
+    { new: true }
+  );
+  if (notification) {
+    notificationNsp?.to(userId.toString()).emit('notification:read', notification);
+    await pushUnreadCount(userId);
+  }
+  return notification;
+}
+
+export async function markAllRead(userId) {
+  const result = await Notification.updateMany({ userId, isRead: false }, { isRead: true });
+  notificationNsp?.to(userId.toString()).emit('notification:read_all', { updated: result.modifiedCount });
+  await pushUnreadCount(userId);
+  return result.modifiedCount;
+}
+
+/**
+ * Delete one of the user's notifications. Returns null if it isn't theirs.
+ */
+export async function removeNotification(userId, notificationId) {
+  if (!mongoose.isValidObjectId(notificationId)) return null;
+  const notification = await Notification.findOneAndDelete({ _id: notificationId, userId });
+  if (notification) await pushUnreadCount(userId);
+  return notification;
+}
+
+export async function clearAll(userId) {
+  const result = await Notification.deleteMany({ userId });
+  await pushUnreadCount(userId);
+  return result.deletedCount;
+}
+
+async function getDisplayName(userId) {
+  const user = await User.findById(userId).select('Name');
+  return user ? `${user.Name.firstName} ${user.Name.lastName}`.trim() : 'Someone';
+}
+
+// Resolve the actor's name, then notify; swallow errors so callers are unaffected
+async function notifyFrom(fromUserId, build) {
+  try {
+    const name = await getDisplayName(fromUserId);
+    return await notify({ fromUserId, ...build(name) });
+  } catch (err) {
+    console.error('notification error:', err);
+    return null;
+  }
+}
+
+export const notifyFriendRequest = ({ fromUserId, toUserId, requestId }) =>
+  notifyFrom(fromUserId, (name) => ({
+    userId: toUserId,
+    type: 'friend_request',
+    referenceId: requestId,
+    text: `${name} sent you a friend request`
+  }));
+
+export const notifyFriendAccepted = ({ fromUserId, toUserId, requestId }) =>
+  notifyFrom(fromUserId, (name) => ({
+    userId: toUserId,
+    type: 'friend_request',
+    referenceId: requestId,
+    text: `${name} accepted your friend request`
+  }));
+
+export const notifyLike = ({ fromUserId, toUserId, likeId }) =>
+  notifyFrom(fromUserId, (name) => ({
+    userId: toUserId,
+    type: 'like',
+    referenceId: likeId,
+    text: `${name} liked your profile`
+  }));
+
+export const notifyMatch = ({ fromUserId, toUserId, matchId }) =>
+  notifyFrom(fromUserId, (name) => ({
+    userId: toUserId,
+    type: 'match',
+    referenceId: matchId,
+    text: `It's a match! You and ${name} like each other`
+  }));
+
+export const notifyMessage = ({ fromUserId, toUserId, chatId }) =>
+  notifyFrom(fromUserId, (name) => ({
+    userId: toUserId,
+    type: 'message',
+    referenceId: chatId,
+    text: `New message from ${name}`
+  }));
+
+export const notifyMissedCall = ({ fromUserId, toUserId, callId, callType }) =>
+  notifyFrom(fromUserId, (name) => ({
+    userId: toUserId,
+    type: 'call',
+    referenceId: callId,
+    text: `Missed ${callType} call from ${name}`
+  }));
+
+export default {
+  setNotificationNamespace,
+  getUnreadCount,
+  notify,
+  markRead,
+  markAllRead,
+  removeNotification,
+  clearAll,
+  pushToUser,
+  notifyFriendRequest,
+  notifyFriendAccepted,
+  notifyLike,
+  notifyMatch,
+  notifyMessage,
+  notifyMissedCall
+};
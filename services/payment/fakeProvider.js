@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { parseWebhookEvent } from './razorpayProvider.js';
+
+// Local stand-in for a real gateway, for tests and development.
+// Orders and payments only live in memory for the lifetime of the process.
+const orders = new Map();
+const payments = new Map();
+
+const getSecret = () => process.env.FAKE_PAYMENT_SECRET || 'fake_payment_secret';
+const getWebhookSecret = () => process.env.FAKE_WEBHOOK_SECRET || 'fake_webhook_secret';
+
+function sign(orderId, paymentId) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+}
+
+export async function createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+  const order = {
+    id: `order_fake_${crypto.randomBytes(8).toString('hex')}`,
+    amount: Number(amount),
+    currency,
+    receipt,
+    status: 'created',
+    notes
+  };
+  orders.set(order.id, order);
+  return { id: order.id, amount: order.amount, currency, status: order.status, notes };
+}
+
+export async function fetchOrder(orderId) {
+  const order = orders.get(orderId);
+  if (!order) {
+    const error = new Error('Order not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return { ...order, amountPaid: order.status === 'paid' ? order.amount : 0 };
+}
+
+export async function fetchPayment(paymentId) {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    const error = new Error('Payment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return { ...payment };
+}
+
+/**
+ * Simulate the customer completing checkout for an order; `status` lets a test
+ * leave the payment authorized (or failed) instead of captured.
+ * Returns what the client would post to /api/payments/verify.
+ */
+export function completeCheckout(orderId, { status = 'captured' } = {}) {
+  const order = orders.get(orderId);
+  if (!order) throw new Error('Order not found');
+
+  const paymentId = `pay_fake_${crypto.randomBytes(8).toString('hex')}`;
+  payments.set(paymentId, {
+    id: paymentId,
+    orderId,
+    amount: order.amount,
+    currency: order.currency,
+    status
+  });
+  if (status === 'captured') order.status = 'paid';
+
+  return { orderId, paymentId, signature: sign(orderId, paymentId) };
+}
+
+export function verifyPaymentSignature({ orderId, paymentId, signature }) {
+  if (!orderId || !paymentId || !signature) return false;
+  const expected = Buffer.from(sign(orderId, paymentId));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build a signed webhook delivery in Razorpay's payload shape, so the
+ * webhook endpoint can be exercised end-to-end without the real gateway.
+ */
+export function buildWebhook(event, { orderId, paymentId, refundId, amount, notes = {} } = {}) {
+  const eventId = `evt_fake_${crypto.randomBytes(8).toString('hex')}`;
+  const payload = {};
+  if (paymentId || orderId) {
+    payload.payment = { entity: { id: paymentId, order_id: orderId, amount: Math.round(Number(amount || 0) * 100), notes } };
+  }
+  if (refundId) {
+    payload.refund = { entity: { id: refundId, payment_id: paymentId, amount: Math.round(Number(amount || 0) * 100) } };
+  }
+  const rawBody = JSON.stringify({ event, payload });
+  return {
+    rawBody,
+    headers: {
+      'x-razorpay-event-id': eventId,
+      'x-razorpay-signature': signWebhook(rawBody)
+    }
+  };
+}
+
+function signWebhook(rawBody) {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+}
+
+export function verifyWebhookSignature(rawBody, signature) {
+  if (!signature || typeof rawBody !== 'string') return false;
+  const expected = Buffer.from(signWebhook(rawBody));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export function getPublicConfig() {
+  return { provider: 'fake', keyId: 'fake_key' };
+}
+
+export default {
+  name: 'fake',
+  isConfigured: () => true,
+  createOrder,
+  fetchOrder,
+  fetchPayment,
+  completeCheckout,
+  verifyPaymentSignature,
+  buildWebhook,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  getPublicConfig
+};
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Read credentials at call-time to avoid dotenv load-order issues
+const getKeyId = () => process.env.RAZORPAY_KEY_ID || '';
+const getKeySecret = () => process.env.RAZORPAY_KEY_SECRET || '';
+const getWebhookSecret = () => process.env.RAZORPAY_WEBHOOK_SECRET || '';
+
+function isConfigured() {
+  return !!(getKeyId() && getKeySecret());
+}
+
+// Razorpay works in the smallest currency unit (paise for INR)
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+const fromMinor = (amount) => Number(amount) / 100;
+
+async function request(method, path, body) {
+  const auth = Buffer.from(`${getKeyId()}:${getKeySecret()}`).toString('base64');
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${auth}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data?.error?.description || `Razorpay request failed (${response.status})`;
+    const error = new Error(message);
+    error.statusCode = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function safeCompare(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Create an order for the given amount (in major units, e.g. rupees)
+ */
+export async function createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+  const order = await request('POST', '/orders', {
+    amount: toMinor(amount),
+    currency,
+    receipt,
+    notes
+  });
+
+  return {
+    id: order.id,
+    amount: fromMinor(order.amount),
+    currency: order.currency,
+    status: order.status,
+    notes: order.notes || {}
+  };
+}
+
+export async function fetchOrder(orderId) {
+  const order = await request('GET', `/orders/${encodeURIComponent(orderId)}`);
+  return {
+    id: order.id,
+    amount: fromMinor(order.amount),
+    amountPaid: fromMinor(order.amount_paid || 0),
+    currency: order.currency,
+    status: order.status,
+    notes: order.notes || {}
+  };
+}
+
+export async function fetchPayment(paymentId) {
+  const payment = await request('GET', `/payments/${encodeURIComponent(paymentId)}`);
+  return {
+    id: payment.id,
+    orderId: payment.order_id,
+    amount: fromMinor(payment.amount),
+    currency: payment.currency,
+    status: payment.status // created | authorized | captured | refunded | failed
+  };
+}
+
+/**
+ * Checkout signature: HMAC-SHA256(order_id + "|" + payment_id, key_secret)
+ */
+export function verifyPaymentSignature({ orderId, paymentId, signature }) {
+  if (!orderId || !paymentId || !signature) return false;
+  const expected = crypto
+    .createHmac('sha256', getKeySecret())
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+  return safeCompare(expected, signature);
+}
+
+/**
+ * Webhook signature: HMAC-SHA256(raw body, webhook secret), sent as X-Razorpay-Signature
+ */
+export function verifyWebhookSignature(rawBody, signature) {
+  if (!getWebhookSecret() || !signature || typeof rawBody !== 'string') return false;
+  const expected = crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(rawBody)
+    .digest('hex');
+  return safeCompare(expected, signature);
+}
+
+const EVENT_TYPES = {
+  'payment.captured': 'payment.captured',
+  'order.paid': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'payment.refunded',
+  'payment.dispute.lost': 'payment.chargeback',
+  'subscription.charged': 'subscription.charged'
+};
+
+/**
+ * Normalize a webhook body into { id, type, orderId, paymentId, refundId, amount, reason, notes }.
+ * type is null for events we don't act on.
+ */
+export function parseWebhookEvent(body, headers = {}) {
+  const payment = body?.payload?.payment?.entity || {};
+  const refund = body?.payload?.refund?.entity || {};
+  const dispute = body?.payload?.dispute?.entity || {};
+  const subscription = body?.payload?.subscription?.entity || {};
+
+  const paymentId = payment.id || refund.payment_id || dispute.payment_id || null;
+  const amount = refund.amount ?? dispute.amount ?? payment.amount;
+
+  return {
+    // Razorpay sends a unique id per event; fall back to the entity ids for older payloads
+    id: headers['x-razorpay-event-id'] || `${body?.event}:${refund.id || dispute.id || paymentId}`,
+    event: body?.event,
+    type: EVENT_TYPES[body?.event] || null,
+    orderId: payment.order_id || null,
+    paymentId,
+    refundId: refund.id || dispute.id || null,
+    amount: amount == null ? null : fromMinor(amount),
+    reason: payment.error_description || refund.notes?.reason || dispute.reason_code || null,
+    notes: { ...(subscription.notes || {}), ...(payment.notes || {}) }
+  };
+}
+
+export function getPublicConfig() {
+  return { provider: 'razorpay', keyId: getKeyId() };
+}
+
+export default {
+  name: 'razorpay',
+  isConfigured,
+  createOrder,
+  fetchOrder,
+  fetchPayment,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  getPublicConfig
+};
@@ -0,0 +1,360 @@
+import razorpayProvider from './payment/razorpayProvider.js';
+import fakeProvider from './payment/fakeProvider.js';
+import Payment from '../models/Payment.js';
+import Plan from '../models/Plan.js';
+import Subscription from '../models/Subscription.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { createOrReplaceSubscription } from '../controllers/subscription.controller.js';
+
+/**
+ * Payment providers share one interface:
+ *   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, status, notes }
+ *   fetchOrder(orderId) -> { id, amount, amountPaid, currency, status, notes }
+ *   fetchPayment(paymentId) -> { id, orderId, amount, currency, status }
+ *   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+ *   verifyWebhookSignature(rawBody, signature) -> boolean
+ *   parseWebhookEvent(body, headers) -> { id, event, type, orderId, paymentId, refundId, amount, reason, notes }
+ *   getPublicConfig() -> values the client needs to open checkout
+ * Amounts are always in major units (rupees), matching Plan.price.
+ */
+const providers = {
+  razorpay: razorpayProvider,
+  fake: fakeProvider
+};
+
+// Read at call-time to avoid dotenv load-order issues
+export function getProvider(name = process.env.PAYMENT_PROVIDER || 'razorpay') {
+  const provider = providers[String(name).toLowerCase().trim()];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+}
+
+export function isGatewayEnabled() {
+  try {
+    return getProvider().isConfigured();
+  } catch (error) {
+    return false;
+  }
+}
+
+export async function createOrder({ plan, userId, currency = 'INR' }) {
+  const provider = getProvider();
+  const order = await provider.createOrder({
+    amount: Number(plan.price),
+    currency,
+    receipt: `rcpt_${String(userId).slice(-8)}_${Date.now()}`,
+    notes: {
+      userId: String(userId),
+      planId: String(plan._id),
+      planType: plan.planType
+    }
+  });
+  return { ...order, provider: provider.name };
+}
+
+/**
+ * Verify a checkout result end-to-end: signature first, then confirm with the
+ * provider that the order belongs to this user/plan and the payment went through.
+ */
+export async function verifyCheckout({ orderId, paymentId, signature, plan, userId }) {
+  const provider = getProvider();
+
+  if (!provider.verifyPaymentSignature({ orderId, paymentId, signature })) {
+    return { ok: false, code: 'INVALID_SIGNATURE', message: 'Payment signature verification failed' };
+  }
+
+  let order, payment;
+  try {
+    [order, payment] = await Promise.all([
+      provider.fetchOrder(orderId),
+      provider.fetchPayment(paymentId)
+    ]);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return { ok: false, code: 'ORDER_NOT_FOUND', message: error.message };
+    }
+    throw error;
+  }
+
+  if (order.notes?.userId !== String(userId) || order.notes?.planId !== String(plan._id)) {
+    return { ok: false, code: 'ORDER_MISMATCH', message: 'Order does not belong to this user or plan' };
+  }
+  if (payment.orderId !== orderId) {
+    return { ok: false, code: 'ORDER_MISMATCH', message: 'Payment does not belong to this order' };
+  }
+  if (Number(order.amount) !== Number(plan.price)) {
+    return { ok: false, code: 'AMOUNT_MISMATCH', message: 'Order amount does not match plan price' };
+  }
+  // Only captured money counts; an authorization can still lapse or be voided
+  if (payment.status === 'authorized') {
+    return { ok: false, code: 'PAYMENT_PENDING', message: 'Payment is authorized but not captured yet' };
+  }
+  if (payment.status !== 'captured') {
+    return { ok: false, code: 'PAYMENT_NOT_CAPTURED', message: `Payment status is ${payment.status}` };
+  }
+
+  return { ok: true, order, payment, provider: provider.name };
+}
+
+export function getPublicConfig() {
+  return getProvider().getPublicConfig();
+}
+
+// ===== Ledger =====
+
+/**
+ * Write a ledger entry for a freshly created order
+ */
+export async function recordOrder({ order, plan, userId, provider }) {
+  return Payment.create({
+    userId,
+    planId: plan._id,
+    planSnapshot: {
+      planType: plan.planType,
+      price: plan.price,
+      durationDays: plan.durationDays,
+      limits: plan.limits?.toObject ? plan.limits.toObject() : (plan.limits || {})
+    },
+    provider,
+    orderId: order.id,
+    amount: Number(order.amount),
+    currency: order.currency || 'INR',
+    status: 'created'
+  });
+}
+
+/**
+ * Mark an order as paid and grant its subscription exactly once.
+ * Repeated calls for the same order return the original grant.
+ */
+export async function grantPayment({ orderId, providerPaymentId = null }) {
+  // Atomically claim the order so concurrent verify calls can't both grant
+  const payment = await Payment.findOneAndUpdate(
+    { orderId, status: { $in: ['created', 'failed'] } },
+    { $set: { status: 'paid', providerPaymentId, paidAt: new Date(), failureReason: null } },
+    { new: true }
+  );
+
+  if (!payment) {
+    const existing = await Payment.findOne({ orderId });
+    if (!existing) return { payment: null, subscription: null, alreadyProcessed: false };
+    const subscription = existing.subscriptionId
+      ? await Subscription.findById(existing.subscriptionId)
+      : null;
+    return { payment: existing, subscription, alreadyProcessed: true };
+  }
+
+  try {
+    // Fall back to the snapshot if the plan was deleted after checkout
+    const plan = await Plan.findById(payment.planId)
+      || { _id: payment.planId, ...payment.planSnapshot };
+    const subscription = await createOrReplaceSubscription(payment.userId, plan, payment.amount);
+
+    payment.subscriptionId = subscription._id;
+    await payment.save();
+    return { payment, subscription, alreadyProcessed: false };
+  } catch (error) {
+    // Release the claim so the grant can be retried
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'created', paidAt: null } });
+    throw error;
+  }
+}
+
+export async function markPaymentFailed({ orderId, providerPaymentId = null, reason = null }) {
+  return Payment.findOneAndUpdate(
+    { orderId, status: 'created' },
+    { $set: { status: 'failed', providerPaymentId, failureReason: reason } },
+    { new: true }
+  );
+}
+
+// Statuses of a payment whose subscription was granted and can still be refunded
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Record a refund or chargeback against a payment.
+ * Refunds carrying a provider refund id are only recorded once. Only a
+ * refundable payment changes status (`applied`); on any other the refund is
+ * just kept on record.
+ */
+export async function recordRefund({ orderId, amount, type = 'refund', providerRefundId = null, reason = null, recordedBy = null }) {
+  const payment = await Payment.findOne({ orderId });
+  if (!payment) return { payment: null, recorded: false };
+
+  if (providerRefundId && payment.refunds.some(r => r.providerRefundId === providerRefundId)) {
+    return { payment, recorded: false };
+  }
+
+  const refundable = Math.max(0, payment.amount - payment.refundedAmount);
+  const refundAmount = Math.min(refundable, amount == null ? refundable : Number(amount));
+
+  payment.refunds.push({ type, providerRefundId, amount: refundAmount, reason, recordedBy });
+
+  const applied = REFUNDABLE_STATUSES.includes(payment.status);
+  if (applied) {
+    payment.refundedAmount += refundAmount;
+    if (type === 'chargeback') {
+      payment.status = 'chargeback';
+    } else {
+      payment.status = payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
+    }
+  }
+
+  await payment.save();
+  return { payment, recorded: true, applied };
+}
+
+/**
+ * After a full refund or chargeback, end the subscription the payment granted
+ * (if it is still running) and move the user back to the free plan.
+ * Returns the new free subscription, the expired one if there is no free
+ * plan, or null when nothing had to change.
+ */
+export async function revokeRefundedSubscription(payment) {
+  if (!['refunded', 'chargeback'].includes(payment.status) || !payment.subscriptionId) return null;
+
+  const now = new Date();
+  const expired = await Subscription.findOneAndUpdate(
+    { _id: payment.subscriptionId, userId: payment.userId, endDate: { $gt: now } },
+    { $set: { endDate: now } },
+    { new: true }
+  );
+  if (!expired) return null;
+
+  const freePlan = await Plan.findOne({ planType: 'free', isActive: true });
+  if (!freePlan) {
+    console.warn(`No active free plan; user ${payment.userId} left without a subscription after refund`);
+    return expired;
+  }
+  return createOrReplaceSubscription(payment.userId, freePlan, 0);
+}
+
+// ===== Webhooks =====
+
+const WEBHOOK_STALE_MS = 5 * 60 * 1000;
+
+async function applyWebhookEvent(event) {
+  let payment = event.orderId ? await Payment.findOne({ orderId: event.orderId }) : null;
+  if (!payment && event.paymentId) {
+    payment = await Payment.findOne({ providerPaymentId: event.paymentId });
+  }
+
+  switch (event.type) {
+    case 'subscription.charged':
+      // Recurring charges arrive with an order we never created; record it from the notes
+      if (!payment && event.orderId && event.notes?.userId && event.notes?.planId) {
+        const plan = await Plan.findById(event.notes.planId);
+        if (!plan) return { status: 'ignored', reason: 'Unknown plan in subscription notes' };
+        payment = await recordOrder({
+          order: { id: event.orderId, amount: event.amount, currency: 'INR' },
+          plan,
+          userId: event.notes.userId,
+          provider: getProvider().name
+        });
+      }
+    // falls through: a charged subscription is a captured payment
+    case 'payment.captured': {
+      if (!payment) return { status: 'ignored', reason: 'Unknown order' };
+      if (event.amount != null && Number(event.amount) !== Number(payment.amount)) {
+        return { status: 'ignored', reason: 'Captured amount does not match order' };
+      }
+      await grantPayment({ orderId: payment.orderId, providerPaymentId: event.paymentId });
+      return { status: 'processed', orderId: payment.orderId };
+    }
+    case 'payment.failed':
+      if (!payment) return { status: 'ignored', reason: 'Unknown order' };
+      await markPaymentFailed({ orderId: payment.orderId, providerPaymentId: event.paymentId, reason: event.reason });
+      return { status: 'processed', orderId: payment.orderId };
+    case 'payment.refunded':
+    case 'payment.chargeback': {
+      if (!payment) return { status: 'ignored', reason: 'Unknown payment' };
+      const { payment: updated, applied } = await recordRefund({
+        orderId: payment.orderId,
+        amount: event.amount,
+        type: event.type === 'payment.chargeback' ? 'chargeback' : 'refund',
+        providerRefundId: event.refundId,
+        reason: event.reason
+      });
+      // A refund for an order that never granted anything has nothing to revoke
+      if (applied) await revokeRefundedSubscription(updated);
+      return { status: 'processed', orderId: payment.orderId };
+    }
+    default:
+      return { status: 'ignored', reason: `Unhandled event ${event.event}` };
+  }
+}
+
+/**
+ * Verify and process a provider webhook delivery.
+ * Each event id is processed at most once; failed events are retried on redelivery.
+ */
+export async function handleWebhook({ rawBody, headers }) {
+  const provider = getProvider();
+  const signature = headers['x-razorpay-signature'];
+
+  if (!provider.verifyWebhookSignature(rawBody, signature)) {
+    return { ok: false, code: 'INVALID_SIGNATURE' };
+  }
+
+  // Parse the signed bytes rather than req.body, which the xss middleware may have rewritten
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (error) {
+    return { ok: false, code: 'INVALID_BODY' };
+  }
+
+  const event = provider.parseWebhookEvent(body, headers);
+  const key = { provider: provider.name, eventId: event.id };
+
+  let record;
+  try {
+    record = await WebhookEvent.create({ ...key, event: event.event || 'unknown', orderId: event.orderId, payload: body });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Duplicate delivery: only pick it up again if the previous attempt failed
+    // or was abandoned mid-way (e.g. the process restarted)
+    const staleBefore = new Date(Date.now() - WEBHOOK_STALE_MS);
+    record = await WebhookEvent.findOneAndUpdate(
+      {
+        ...key,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!record) return { ok: true, duplicate: true };
+  }
+
+  try {
+    const result = await applyWebhookEvent(event);
+    record.status = result.status;
+    record.orderId = result.orderId || record.orderId;
+    record.error = result.reason || null;
+    record.processedAt = new Date();
+    await record.save();
+    return { ok: true, status: result.status };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+}
+
+export default {
+  getProvider,
+  isGatewayEnabled,
+  createOrder,
+  verifyCheckout,
+  getPublicConfig,
+  recordOrder,
+  grantPayment,
+  markPaymentFailed,
+  recordRefund,
+  revokeRefundedSubscription,
+  handleWebhook
+};
@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Friendship from '../models/Friendship.js';
+import DismissedSuggestion from '../models/DismissedSuggestion.js';
+import { resolveMediaUrl } from '../utils/imageUrl.js';
+
+/**
+ * Friend suggestions ranked by a weighted score. Candidates come from
+ * friends-of-friends plus people sharing the user's city, state or hobbies;
+ * each pool is capped and scored in memory.
+ */
+
+const WEIGHTS = {
+  mutualFriend: 3,   // per mutual friend
+  sharedHobby: 2,    // per shared hobby
+  sameCity: 8,
+  sameState: 4,      // only when the city differs
+  ageProximity: 5,   // full score for the same age, fading out over 10 years
+  recentActivity: 5  // full score if active in the last day
+};
+const MAX_MUTUAL_COUNTED = 10;
+const MAX_HOBBIES_COUNTED = 5;
+const CANDIDATE_POOL_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Any of these relationships means the pair shouldn't be suggested to each other
+const EXCLUDED_STATUSES = ['Accepted', 'Pending', 'Blocked', 'Rejected'];
+
+// Case-insensitive equality for city/state matching
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const otherUser = (friendship, userId) =>
+  friendship.user1.toString() === userId ? friendship.user2.toString() : friendship.user1.toString();
+
+// Friend ids of the user, and mutual friend counts for friends-of-friends
+async function getFriendGraph(userId) {
+  const friendships = await Friendship.find({
+    status: 'Accepted',
+    $or: [{ user1: userId }, { user2: userId }]
+  }).select('user1 user2').lean();
+  const friendIds = friendships.map(f => otherUser(f, userId));
+  if (!friendIds.length) return { friendIds, mutualCounts: new Map() };
+
+  const friendSet = new Set(friendIds);
+  const secondDegree = await Friendship.find({
+    status: 'Accepted',
+    $or: [{ user1: { $in: friendIds } }, { user2: { $in: friendIds } }]
+  }).select('user1 user2').lean();
+
+  const mutualCounts = new Map();
+  for (const f of secondDegree) {
+    for (const [friend, candidate] of [[f.user1.toString(), f.user2.toString()], [f.user2.toString(), f.user1.toString()]]) {
+      if (!friendSet.has(friend) || candidate === userId || friendSet.has(candidate)) continue;
+      mutualCounts.set(candidate, (mutualCounts.get(candidate) || 0) + 1);
+    }
+  }
+  return { friendIds, mutualCounts };
+}
+
+async function getExcludedIds(userId) {
+  const [relationships, dismissed] = await Promise.all([
+    Friendship.find({
+      status: { $in: EXCLUDED_STATUSES },
+      $or: [{ user1: userId }, { user2: userId }]
+    }).select('user1 user2').lean(),
+    DismissedSuggestion.find({ userId }).select('dismissedUserId').lean()
+  ]);
+
+  return new Set([
+    userId,
+    ...relationships.map(f => otherUser(f, userId)),
+    ...dismissed.map(d => d.dismissedUserId.toString())
+  ]);
+}
+
+function scoreCandidate(me, candidate, mutualFriendsCount, now) {
+  const myHobbies = new Set((me.hobbies || []).map(normalize).filter(Boolean));
+  const sharedHobbies = [...new Set((candidate.hobbies || []).filter(h => myHobbies.has(normalize(h))))];
+
+  const sameCity = !!normalize(me.location?.city) && normalize(me.location?.city) === normalize(candidate.location?.city);
+  const sameState = !sameCity && !!normalize(me.location?.state) && normalize(me.location?.state) === normalize(candidate.location?.state);
+
+  const ageGap = me.age && candidate.age ? Math.abs(me.age - candidate.age) : null;
+  const ageScore = ageGap === null ? 0 : WEIGHTS.ageProximity * Math.max(0, 1 - ageGap / 10);
+
+  const lastActive = candidate.lastActiveAt || candidate.updatedAt;
+  const idleDays = lastActive ? (now - new Date(lastActive).getTime()) / DAY_MS : Infinity;
+  const activityScore = idleDays <= 1 ? WEIGHTS.recentActivity
+    : idleDays <= 7 ? WEIGHTS.recentActivity * 0.6
+      : idleDays <= 30 ? WEIGHTS.recentActivity * 0.2
+        : 0;
+
+  const score = WEIGHTS.mutualFriend * Math.min(mutualFriendsCount, MAX_MUTUAL_COUNTED)
+    + WEIGHTS.sharedHobby * Math.min(sharedHobbies.length, MAX_HOBBIES_COUNTED)
+    + (sameCity ? WEIGHTS.sameCity : 0)
+    + (sameState ? WEIGHTS.sameState : 0)
+    + ageScore
+    + activityScore;
+
+  const reasons = [];
+  if (mutualFriendsCount) reasons.push(`${mutualFriendsCount} mutual friend${mutualFriendsCount > 1 ? 's' : ''}`);
+  if (sharedHobbies.length) reasons.push(`Likes ${sharedHobbies.slice(0, 3).join(', ')}`);
+  if (sameCity) reasons.push(`Lives in ${candidate.location.city}`);
+  else if (sameState) reasons.push(`Lives in ${candidate.location.state}`);
+
+  return { score: Math.round(score * 100) / 100, sharedHobbies, reasons };
+}
+
+/**
+ * Ranked suggestions for the user. Returns { suggestions, hasMore } or null if the user doesn't exist.
+ */
+export async function getSuggestions(userId, { page = 1, limit = 20 } = {}) {
+  const me = await User.findById(userId).select('age hobbies location').lean();
+  if (!me) return null;
+
+  const [{ mutualCounts }, excluded] = await Promise.all([getFriendGraph(userId), getExcludedIds(userId)]);
+
+  const select = 'Name age gender profilePic location hobbies lastActiveAt updatedAt';
+  const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(id));
+
+  // Friends-of-friends are fetched on their own, most mutual friends first, so
+  // an idle one with many mutuals isn't crowded out of the recency-capped pool
+  const friendsOfFriends = [...mutualCounts.entries()]
+    .filter(([id]) => !excluded.has(id))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CANDIDATE_POOL_SIZE)
+    .map(([id]) => id);
+  const friendCandidates = friendsOfFriends.length
+    ? await User.find({ status: 'Active', _id: { $in: toObjectIds(friendsOfFriends) } }).select(select).lean()
+    : [];
+
+  const sources = [];
+  if (me.location?.city) sources.push({ 'location.city': me.location.city });
+  if (me.location?.state) sources.push({ 'location.state': me.location.state });
+  if (me.hobbies?.length) sources.push({ hobbies: { $in: me.hobbies } });
+
+  // Nothing to go on yet: fall back to recently active members
+  const otherCandidates = sources.length || !friendsOfFriends.length
+    ? await User.find({
+      status: 'Active',
+      _id: { $nin: toObjectIds([...excluded, ...friendsOfFriends]) },
+      ...(sources.length && { $or: sources })
+    })
+      .select(select)
+      .sort({ lastActiveAt: -1 })
+      .limit(CANDIDATE_POOL_SIZE)
+      .collation(CASE_INSENSITIVE)
+      .lean()
+    : [];
+  const candidates = [...friendCandidates, ...otherCandidates];
+
+  const now = Date.now();
+  const ranked = candidates
+    .map(candidate => {
+      const id = candidate._id.toString();
+      const mutualFriendsCount = mutualCounts.get(id) || 0;
+      return {
+        id: candidate._id,
+        name: `${candidate.Name?.firstName || ''} ${candidate.Name?.lastName || ''}`.trim(),
+        age: candidate.age || null,
+        gender: candidate.gender || null,
+        profilePic: resolveMediaUrl(candidate.profilePic),
+        location: {
+          city: candidate.location?.city || '',
+          state: candidate.location?.state || '',
+          country: candidate.location?.country || ''
+        },
+        mutualFriendsCount,
+        ...scoreCandidate(me, candidate, mutualFriendsCount, now)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const start = (page - 1) * limit;
+  return {
+    suggestions: ranked.slice(start, start + limit),
+    hasMore: ranked.length > start + limit
+  };
+}
+
+/**
+ * Hide a suggestion for good. Returns false if the target user doesn't exist.
+ */
+export async function dismissSuggestion(userId, dismissedUserId) {
+  const exists = await User.exists({ _id: dismissedUserId });
+  if (!exists) return false;
+
+  await DismissedSuggestion.updateOne(
+    { userId, dismissedUserId },
+    { $setOnInsert: { userId, dismissedUserId } },
+    { upsert: true }
+  );
+  return true;
+}
+
+export default {
+  getSuggestions,
+  dismissSuggestion
+};
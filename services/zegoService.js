@@ -1,29 +1,147 @@
 import crypto from 'crypto';
 
-const APP_ID = process.env.ZEGO_APP_ID || '';
-const SERVER_SECRET = process.env.ZEGO_SERVER_SECRET || '';
+// Read at call-time to avoid dotenv load-order issues
+const getAppId = () => process.env.ZEGO_APP_ID || '';
+const getServerSecret = () => process.env.ZEGO_SERVER_SECRET || '';
+const getCallbackSecret = () => process.env.ZEGO_CALLBACK_SECRET || '';
+const getCallbackMaxAge = () => Number(process.env.ZEGO_CALLBACK_MAX_AGE_SECONDS) || 300;
+
+const isConfigured = () => !!(getAppId() && getServerSecret());
+
+// Privilege keys understood by the ZEGO SDK in token04 payloads
+const PRIVILEGE_LOGIN_ROOM = 1;
+const PRIVILEGE_PUBLISH_STREAM = 2;
+
+// Roles that may only watch/listen, never publish a stream
+const RECEIVE_ONLY_ROLES = ['audience', 'viewer'];
 
 function mockToken() {
   return 'mock_' + crypto.randomBytes(12).toString('hex');
 }
 
-export function generateToken({ userId, userName, roomId = null, expireSeconds = 3600 }) {
+// Random signed 32-bit integer, as the ZEGO reference implementation uses
+function makeNonce() {
+  return crypto.randomBytes(4).readInt32BE(0);
+}
+
+function makeIv() {
+  const chars = '0123456789abcdefghijklmnopqrstuvwxyz';
+  const bytes = crypto.randomBytes(16);
+  return Array.from(bytes, b => chars[b % chars.length]).join('');
+}
+
+// AES mode follows the secret length: 16 -> 128, 24 -> 192, 32 -> 256 bits
+function getCipherAlgorithm(secret) {
+  switch (secret.length) {
+    case 16: return 'aes-128-cbc';
+    case 24: return 'aes-192-cbc';
+    case 32: return 'aes-256-cbc';
+    default: throw new Error('ZEGO_SERVER_SECRET must be 16, 24 or 32 characters');
+  }
+}
+
+/**
+ * Build a token04 string:
+ * "04" + base64( int64 expire | uint16 ivLen | iv | uint16 cipherLen | AES-CBC(JSON tokenInfo) )
+ */
+function buildToken04({ appId, userId, secret, expireSeconds, payload = '' }) {
+  const ctime = Math.floor(Date.now() / 1000);
+  const tokenInfo = {
+    app_id: Number(appId),
+    user_id: String(userId),
+    nonce: makeNonce(),
+    ctime,
+    expire: ctime + Number(expireSeconds),
+    payload
+  };
+
+  const iv = makeIv();
+  const cipher = crypto.createCipheriv(getCipherAlgorithm(secret), Buffer.from(secret), Buffer.from(iv));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(tokenInfo), 'utf8'), cipher.final()]);
+
+  const expireBuf = Buffer.alloc(8);
+  expireBuf.writeBigInt64BE(BigInt(tokenInfo.expire));
+  const ivLenBuf = Buffer.alloc(2);
+  ivLenBuf.writeUInt16BE(iv.length);
+  const encLenBuf = Buffer.alloc(2);
+  encLenBuf.writeUInt16BE(encrypted.length);
+
+  const packed = Buffer.concat([expireBuf, ivLenBuf, Buffer.from(iv), encLenBuf, encrypted]);
+  return { token: '04' + packed.toString('base64'), expiresAt: tokenInfo.expire };
+}
+
+/**
+ * Reverse of buildToken04. Throws if the token is malformed or can't be decrypted.
+ */
+function decodeToken04(token, secret) {
+  if (typeof token !== 'string' || !token.startsWith('04')) {
+    throw new Error('Not a token04 string');
+  }
+
+  const buf = Buffer.from(token.slice(2), 'base64');
+  let offset = 0;
+  const expire = Number(buf.readBigInt64BE(offset)); offset += 8;
+  const ivLen = buf.readUInt16BE(offset); offset += 2;
+  const iv = buf.subarray(offset, offset + ivLen); offset += ivLen;
+  const encLen = buf.readUInt16BE(offset); offset += 2;
+  const encrypted = buf.subarray(offset, offset + encLen);
+  if (encrypted.length !== encLen) throw new Error('Truncated token');
+
+  const decipher = crypto.createDecipheriv(getCipherAlgorithm(secret), Buffer.from(secret), iv);
+  const plain = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  const info = JSON.parse(plain);
+
+  if (Number(info.expire) !== expire) throw new Error('Token header does not match payload');
+  return info;
+}
+
+function buildPrivilegePayload(roomId, role) {
+  if (!roomId) return '';
+  const canPublish = !RECEIVE_ONLY_ROLES.includes(role);
+  return JSON.stringify({
+    room_id: String(roomId),
+    privilege: {
+      [PRIVILEGE_LOGIN_ROOM]: 1,
+      [PRIVILEGE_PUBLISH_STREAM]: canPublish ? 1 : 0
+    },
+    stream_id_list: null
+  });
+}
+
+export function generateToken({ userId, userName, roomId = null, role = 'participant', expireSeconds = 3600 }) {
   try {
-    const now = Math.floor(Date.now() / 1000);
-    const exp = now + Number(expireSeconds);
+    // Without credentials (local development) fall back to a mock token
+    if (!isConfigured()) {
+      return {
+        success: true,
+        data: {
+          appId: 'mock-app',
+          token: mockToken(),
+          userId,
+          userName,
+          roomId,
+          expiresAt: Math.floor(Date.now() / 1000) + Number(expireSeconds)
+        }
+      };
+    }
+
+    const { token, expiresAt } = buildToken04({
+      appId: getAppId(),
+      userId,
+      secret: getServerSecret(),
+      expireSeconds,
+      payload: buildPrivilegePayload(roomId, role)
+    });
 
-    // In production, implement ZEGO token signing using APP_ID and SERVER_SECRET
-    // For now, return a mock token if secrets are not configured
-    const token = (APP_ID && SERVER_SECRET) ? mockToken() : mockToken();
     return {
       success: true,
       data: {
-        appId: APP_ID || 'mock-app',
+        appId: Number(getAppId()),
         token,
         userId,
         userName,
         roomId,
-        expiresAt: exp
+        expiresAt
       }
     };
   } catch (error) {
@@ -32,28 +150,88 @@ export function generateToken({ userId, userName, roomId = null, expireSeconds =
 }
 
 export function generateRoomToken({ userId, userName, roomId, role = 'participant', expireSeconds = 3600 }) {
-  return generateToken({ userId, userName, roomId, expireSeconds });
+  return generateToken({ userId, userName, roomId, role, expireSeconds });
 }
 
 export function getConnectionInfo() {
   return {
-    appId: APP_ID || 'mock-app',
+    appId: getAppId() ? Number(getAppId()) : 'mock-app',
     server: 'zegocloud',
   };
 }
 
 export function validateToken(token) {
-  return {
-    isMock: token?.startsWith?.('mock_') || false,
-    appId: APP_ID || 'mock-app',
-  };
+  if (!isConfigured()) {
+    return {
+      valid: token?.startsWith?.('mock_') || false,
+      isMock: token?.startsWith?.('mock_') || false,
+      appId: 'mock-app',
+    };
+  }
+
+  const appId = Number(getAppId());
+  try {
+    const info = decodeToken04(token, getServerSecret());
+    const now = Math.floor(Date.now() / 1000);
+
+    let privilege = null;
+    let roomId = null;
+    if (info.payload) {
+      const payload = JSON.parse(info.payload);
+      roomId = payload.room_id || null;
+      privilege = {
+        loginRoom: payload.privilege?.[PRIVILEGE_LOGIN_ROOM] === 1,
+        publishStream: payload.privilege?.[PRIVILEGE_PUBLISH_STREAM] === 1
+      };
+    }
+
+    const reason = info.app_id !== appId
+      ? 'App ID mismatch'
+      : (info.expire <= now ? 'Token expired' : null);
+
+    return {
+      valid: !reason,
+      reason,
+      isMock: false,
+      appId,
+      userId: info.user_id,
+      roomId,
+      privilege,
+      issuedAt: info.ctime,
+      expiresAt: info.expire
+    };
+  } catch (error) {
+    return { valid: false, reason: 'Malformed token', isMock: false, appId };
+  }
 }
 
-export function verifyCallbackSignature(rawBody, signature) {
-  if (!signature) return false;
-  // In production, compute HMAC with webhook secret and compare
-  // For dev, accept any non-empty signature
-  return true;
+/**
+ * ZEGO callback signature: sha1 over the callback secret, timestamp and nonce,
+ * sorted lexicographically and concatenated. Timestamps are unix seconds and must
+ * fall within the freshness window. Nonce reuse is checked by the caller.
+ */
+export function verifyCallbackSignature({ signature, timestamp, nonce }) {
+  const secret = getCallbackSecret();
+  if (!secret) return { ok: false, reason: 'Callback secret not configured' };
+  if (!signature || !timestamp || !nonce) return { ok: false, reason: 'Missing signature, timestamp or nonce' };
+
+  const ts = Number(timestamp);
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > getCallbackMaxAge()) {
+    return { ok: false, reason: 'Stale or invalid timestamp' };
+  }
+
+  const expected = crypto
+    .createHash('sha1')
+    .update([secret, String(timestamp), String(nonce)].sort().join(''))
+    .digest('hex');
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature).toLowerCase());
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { ok: false, reason: 'Signature mismatch' };
+  }
+  return { ok: true };
 }
 
 export default {
@@ -1,10 +1,35 @@
 // src/sockets/chat.namespace.js
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import Chat from "../models/Chat.js";
 import Subscription from "../models/Subscription.js";
 import Plan from "../models/Plan.js";
 import { v4 as uuidv4 } from "uuid";
+import {
+  createCall,
+  findCallForUser,
+  acceptCall,
+  missCall,
+  endCall,
+  isFinal,
+  getRingTimeoutMs
+} from "../services/callService.js";
+import { getRemainingCallSeconds } from "../services/callUsageService.js";
+import Call from "../models/Call.js";
+import { notifyMessage } from "../services/notificationService.js";
+import { isBlockedBetween, BLOCKED_MESSAGE } from "../utils/blockList.js";
+import { normalizeAttachments } from "../utils/chatAttachments.js";
+import { consume, release } from "../services/entitlementService.js";
+import {
+  saveMessage,
+  markDelivered,
+  markRead,
+  editMessage,
+  unsendMessage,
+  hideMessage,
+  toMessageEvent,
+  resolveReplyTo,
+  toggleReaction
+} from "../services/messageService.js";
 
 // Store online users: { userId: { socketId, userInfo, lastSeen } }
 const onlineUsers = new Map();
@@ -12,6 +37,18 @@ const onlineUsers = new Map();
 // Store user rooms: { userId: Set of roomIds }
 const userRooms = new Map();
 
+// Unanswered calls: { callId: timeout handle }
+const ringTimers = new Map();
+
+// Answered calls: { callId: [warning handle, force-end handle] }
+const quotaTimers = new Map();
+
+// Read at call-time to avoid dotenv load-order issues
+const getQuotaWarningSeconds = () => Number(process.env.CALL_QUOTA_WARNING_SECONDS) || 60;
+
+// setTimeout overflows past ~24.8 days; treat longer allowances as unbounded
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
 export default function (nsp) {
   // Middleware for socket authentication
   nsp.use(async (socket, next) => {
@@ -54,6 +91,7 @@ export default function (nsp) {
         lastSeen: new Date(),
         isOnline: true
       });
+      touchLastActive(userId);
 
       // Initialize user rooms
       if (!userRooms.has(userId)) {
@@ -92,6 +130,11 @@ export default function (nsp) {
             throw new Error('receiverId is required');
           }
 
+          if (await isBlockedBetween(userId, receiverId)) {
+            socket.emit('error', { type: 'blocked', message: BLOCKED_MESSAGE });
+            return;
+          }
+
           const roomId = generateRoomId(userId, receiverId);
           
           // Check if both users have valid subscriptions
@@ -142,14 +185,35 @@ export default function (nsp) {
         }
       });
 
-      // Handle sending messages
-      socket.on("send_message", async ({ receiverId, message, tempId }) => {
+      // Handle sending messages (also used for quoted replies)
+      const handleSendMessage = async ({ receiverId, message, attachments: rawAttachments, replyTo: replyToId, tempId } = {}) => {
         try {
-          if (!receiverId || !message?.trim()) {
-            socket.emit('error', { type: 'validation_error', message: 'Receiver ID and message are required' });
+          const text = typeof message === 'string' ? message.trim() : '';
+          const { attachments, error: attachmentError } = normalizeAttachments(rawAttachments);
+          if (attachmentError) {
+            socket.emit('error', { type: 'validation_error', message: attachmentError, tempId });
+            return;
+          }
+          if (!receiverId || (!text && !attachments.length)) {
+            socket.emit('error', { type: 'validation_error', message: 'Receiver ID and a message or attachment are required' });
+            return;
+          }
+
+          if (await isBlockedBetween(userId, receiverId)) {
+            socket.emit('error', { type: 'blocked', message: BLOCKED_MESSAGE, tempId });
             return;
           }
 
+          let replyTo = null;
+          if (replyToId) {
+            const quoted = await resolveReplyTo(userId, receiverId, replyToId);
+            if (quoted.error) {
+              socket.emit('error', { type: 'validation_error', message: quoted.error, tempId });
+              return;
+            }
+            replyTo = quoted.replyTo;
+          }
+
           // Check subscription limits before sending
           const validationResult = await validateBothUsersSubscription(userId, receiverId);
           if (!validationResult.valid || !validationResult.canChat) {
@@ -170,25 +234,41 @@ export default function (nsp) {
             return;
           }
 
+          // Attachments count against the plan's media allowance
+          const mediaGrant = attachments.length ? await consume(userId, 'media', attachments.length) : null;
+          if (mediaGrant && !mediaGrant.ok) {
+            socket.emit('error', {
+              type: 'limit_exceeded',
+              code: mediaGrant.code,
+              feature: 'media',
+              message: mediaGrant.message,
+              tempId
+            });
+            return;
+          }
+
           // Generate unique message ID
           const messageId = uuidv4();
           const roomId = generateRoomId(userId, receiverId);
 
           // Save message to database
-          const savedMessage = await saveMessageToDB(userId, receiverId, message, messageId, tempId);
+          const savedMessage = await saveMessageToDB(userId, receiverId, text, messageId, tempId, { attachments, replyTo });
           
           if (!savedMessage.success) {
+            await release(userId, 'media', mediaGrant);
             socket.emit('error', { type: 'db_error', message: 'Failed to save message' });
             return;
           }
 
           // Prepare message object for real-time delivery
           const messageObj = {
-            id: messageId,
+            id: savedMessage.id,
             petitionId: messageId,
             from: userId,
             to: receiverId,
-            message: message.trim(),
+            message: text,
+            attachments,
+            replyTo,
             timestamp: new Date().toISOString(), // Use ISO string for consistency
             status: 'sent',
             senderName: `${socket.user.Name.firstName} ${socket.user.Name.lastName}`,
@@ -202,15 +282,10 @@ export default function (nsp) {
             remainingMessages: savedMessage.remainingMessages
           });
 
-          // Send to receiver if online
+          // Send to receiver if online; delivery is confirmed by their ack
           const receiverOnline = onlineUsers.get(receiverId);
           if (receiverOnline) {
             nsp.to(`user_${receiverId}`).emit('new_message', messageObj);
-            
-            // Mark as delivered
-            setTimeout(() => {
-              socket.emit('message_delivered', { messageId });
-            }, 100);
           }
 
           // Emit to room for any other connected instances
@@ -222,6 +297,40 @@ export default function (nsp) {
           console.error('Send message error:', error);
           socket.emit('error', { type: 'send_error', message: 'Failed to send message' });
         }
+      };
+
+      socket.on("send_message", handleSendMessage);
+
+      // Quoted reply: a send_message whose replyTo (the quoted message's id) is required
+      socket.on("message:reply", (payload = {}) => {
+        if (!payload.replyTo) {
+          socket.emit('error', { type: 'validation_error', message: 'replyTo is required', tempId: payload.tempId });
+          return;
+        }
+        handleSendMessage(payload);
+      });
+
+      // Add or remove an emoji reaction (one per user per emoji)
+      socket.on("message:react", async ({ messageId, emoji } = {}) => {
+        try {
+          const result = await toggleReaction(userId, messageId, emoji);
+          if (result.code === 'BLOCKED') {
+            return socket.emit('error', { type: 'blocked', message: result.error, messageId });
+          }
+          if (result.error) {
+            return socket.emit('error', { type: 'reaction_error', message: result.error, messageId });
+          }
+
+          const { message, added } = result;
+          const roomId = generateRoomId(message.from.toString(), message.to.toString());
+          nsp.to([roomId, `user_${message.from}`, `user_${message.to}`]).emit('message:reaction', {
+            ...toMessageEvent(message),
+            reaction: { userId, emoji, added }
+          });
+        } catch (error) {
+          console.error('Message reaction error:', error);
+          socket.emit('error', { type: 'reaction_error', message: 'Failed to update reaction', messageId });
+        }
       });
 
       // Handle typing indicators
@@ -251,53 +360,150 @@ export default function (nsp) {
         }
       });
 
+      // Receiver's client acks messages it has received
+      socket.on("mark_messages_delivered", async ({ senderId, messageIds } = {}) => {
+        try {
+          if (!senderId) return;
+          const { messageIds: delivered, deliveredAt } = await markDelivered(userId, senderId, messageIds);
+          if (!delivered.length) return;
+
+          nsp.to(`user_${senderId}`).emit('messages_delivered', {
+            deliveredTo: userId,
+            messageIds: delivered,
+            deliveredAt
+          });
+          // Older clients listen for one event per message
+          delivered.forEach(id => {
+            nsp.to(`user_${senderId}`).emit('message_delivered', { messageId: id, deliveredAt });
+          });
+        } catch (error) {
+          console.error('Mark messages delivered error:', error);
+        }
+      });
+
       // Handle message read status
-      socket.on("mark_messages_read", async ({ senderId, messageIds }) => {
+      socket.on("mark_messages_read", async ({ senderId, messageIds } = {}) => {
         try {
+          if (!senderId) return;
           // Update message status in database
-          await markMessagesAsRead(userId, senderId, messageIds);
-          
+          const { messageIds: read, readAt } = await markRead(userId, senderId, messageIds);
+          if (!read.length) return;
+
           // Notify sender that messages were read
-          const senderOnline = onlineUsers.get(senderId);
-          if (senderOnline) {
-            nsp.to(`user_${senderId}`).emit('messages_read', {
-              readBy: userId,
-              messageIds,
-              readAt: new Date()
-            });
-          }
+          nsp.to(`user_${senderId}`).emit('messages_read', {
+            readBy: userId,
+            messageIds: read,
+            readAt
+          });
         } catch (error) {
           console.error('Mark messages read error:', error);
         }
       });
 
+      // ===== MESSAGE EDIT / UNSEND / DELETE-FOR-ME =====
+      // Same rules as the /api/chats/message/:messageId endpoints; messageId is
+      // the message's id, not its petitionId
+
+      socket.on("message:edit", async ({ messageId, message } = {}) => {
+        try {
+          const result = await editMessage(userId, messageId, message);
+          if (result.code === 'BLOCKED') {
+            return socket.emit('error', { type: 'blocked', message: result.error, messageId });
+          }
+          if (result.error) {
+            return socket.emit('error', { type: 'edit_error', message: result.error, messageId });
+          }
+          const { from, to } = result.message;
+          nsp.to([`user_${from}`, `user_${to}`]).emit('message:edited', toMessageEvent(result.message));
+        } catch (error) {
+          console.error('Edit message error:', error);
+          socket.emit('error', { type: 'edit_error', message: 'Failed to edit message', messageId });
+        }
+      });
+
+      socket.on("message:unsend", async ({ messageId } = {}) => {
+        try {
+          const result = await unsendMessage(userId, messageId);
+          if (result.error) {
+            return socket.emit('error', { type: 'unsend_error', message: result.error, messageId });
+          }
+          const { from, to } = result.message;
+          nsp.to([`user_${from}`, `user_${to}`]).emit('message:unsent', toMessageEvent(result.message));
+        } catch (error) {
+          console.error('Unsend message error:', error);
+          socket.emit('error', { type: 'unsend_error', message: 'Failed to unsend message', messageId });
+        }
+      });
+
+      socket.on("message:delete_for_me", async ({ messageId } = {}) => {
+        try {
+          const result = await hideMessage(userId, messageId);
+          if (result.error) {
+            return socket.emit('error', { type: 'delete_error', message: result.error, messageId });
+          }
+          nsp.to(`user_${userId}`).emit('message:deleted', {
+            id: result.message._id,
+            messageId: result.message.petitionId || result.message._id
+          });
+        } catch (error) {
+          console.error('Delete message error:', error);
+          socket.emit('error', { type: 'delete_error', message: 'Failed to delete message', messageId });
+        }
+      });
+
       // ===== CALL INVITATION EVENTS =====
-      
+      // Every call is persisted as a Call record; the server owns its status.
+
       // Handle call invitation
-      socket.on("call:invite", ({ receiverId, callType, roomId }) => {
+      // Any roomId the client sends is ignored: the server picks the ZEGO room
+      socket.on("call:invite", async ({ receiverId, callType }) => {
         try {
           console.log(`📞 Call invitation: ${userId} -> ${receiverId} (${callType})`);
-          
+
+          if (!receiverId || receiverId === userId || !['audio', 'video'].includes(callType)) {
+            return socket.emit('call:invitation_failed', {
+              receiverId,
+              reason: 'Invalid call request'
+            });
+          }
+
+          if (await isBlockedBetween(userId, receiverId)) {
+            return socket.emit('call:invitation_failed', {
+              receiverId,
+              reason: BLOCKED_MESSAGE
+            });
+          }
+
+          const call = await createCall({ callerId: userId, receiverId, type: callType });
+          const callId = call._id.toString();
+          const callRoomId = call.zegoData.roomId;
+
           const receiverOnline = onlineUsers.get(receiverId);
           if (receiverOnline) {
             // Send call invitation to receiver
             nsp.to(`user_${receiverId}`).emit('call:incoming', {
+              callId,
               callerId: userId,
               callerInfo: socket.user,
               callType, // 'audio' or 'video'
-              roomId,
+              roomId: callRoomId,
               timestamp: new Date()
             });
-            
+
             // Confirm to caller that invitation was sent
             socket.emit('call:invitation_sent', {
+              callId,
               receiverId,
-              roomId,
+              roomId: callRoomId,
               status: 'sent'
             });
+
+            startRingTimer(nsp, callId, userId, receiverId);
           } else {
             // Receiver is offline
+            await missCall(callId, { reason: 'offline' });
             socket.emit('call:invitation_failed', {
+              callId,
               receiverId,
               reason: 'User is offline'
             });
@@ -312,66 +518,95 @@ export default function (nsp) {
       });
 
       // Handle call acceptance
-      socket.on("call:accept", ({ callerId, roomId }) => {
+      socket.on("call:accept", async ({ callId, callerId, roomId }) => {
         try {
           console.log(`✅ Call accepted: ${userId} accepted call from ${callerId}`);
-          
-          const callerOnline = onlineUsers.get(callerId);
-          if (callerOnline) {
-            // Notify caller that call was accepted
-            nsp.to(`user_${callerId}`).emit('call:accepted', {
-              receiverId: userId,
-              roomId,
-              timestamp: new Date()
-            });
-            
-            // Confirm to receiver
-            socket.emit('call:join_room', {
-              roomId,
-              callerId,
-              status: 'accepted'
-            });
+
+          const call = await findCallForUser({ callId, roomId, userId });
+          if (!call || getParticipantRole(call, userId) !== 'callee') {
+            return socket.emit('call:error', { callId, roomId, message: 'Call not found' });
+          }
+
+          clearRingTimer(call._id);
+          const accepted = await acceptCall(call._id);
+          if (!accepted) {
+            // Already answered, rejected, cancelled or timed out
+            return socket.emit('call:error', { callId: call._id.toString(), roomId: call.zegoData.roomId, message: `Call is ${call.status}` });
           }
+
+          await startQuotaTimers(nsp, accepted);
+
+          const peerId = getPeerId(accepted, userId);
+          // Notify caller that call was accepted
+          nsp.to(`user_${peerId}`).emit('call:accepted', {
+            callId: accepted._id.toString(),
+            receiverId: userId,
+            roomId: accepted.zegoData.roomId,
+            timestamp: accepted.startedAt
+          });
+
+          // Confirm to receiver
+          socket.emit('call:join_room', {
+            callId: accepted._id.toString(),
+            roomId: accepted.zegoData.roomId,
+            callerId: peerId,
+            status: 'accepted'
+          });
         } catch (error) {
           console.error('Call acceptance error:', error);
         }
       });
 
       // Handle call rejection
-      socket.on("call:reject", ({ callerId, roomId }) => {
+      socket.on("call:reject", async ({ callId, callerId, roomId }) => {
         try {
           console.log(`❌ Call rejected: ${userId} rejected call from ${callerId}`);
-          
-          const callerOnline = onlineUsers.get(callerId);
-          if (callerOnline) {
-            // Notify caller that call was rejected
-            nsp.to(`user_${callerId}`).emit('call:rejected', {
-              receiverId: userId,
-              roomId,
-              timestamp: new Date()
-            });
+
+          const call = await findCallForUser({ callId, roomId, userId });
+          if (!call || getParticipantRole(call, userId) !== 'callee') {
+            return socket.emit('call:error', { callId, roomId, message: 'Call not found' });
           }
+
+          clearRingTimer(call._id);
+          const rejected = await missCall(call._id, { reason: 'rejected', userId });
+          if (!rejected) return;
+
+          // Notify caller that call was rejected
+          nsp.to(`user_${getPeerId(rejected, userId)}`).emit('call:rejected', {
+            callId: rejected._id.toString(),
+            receiverId: userId,
+            roomId: rejected.zegoData.roomId,
+            timestamp: rejected.endedAt
+          });
         } catch (error) {
           console.error('Call rejection error:', error);
         }
       });
 
-      // Handle call end
-      socket.on("call:end", ({ roomId, receiverId }) => {
+      // Handle call end (hang up, or caller cancelling before an answer)
+      socket.on("call:end", async ({ callId, roomId }) => {
         try {
           console.log(`🔚 Call ended: ${userId} ended call in room ${roomId}`);
-          
-          if (receiverId) {
-            const receiverOnline = onlineUsers.get(receiverId);
-            if (receiverOnline) {
-              // Notify receiver that call ended
-              nsp.to(`user_${receiverId}`).emit('call:ended', {
-                roomId,
-                endedBy: userId,
-                timestamp: new Date()
-              });
-            }
+
+          const call = await findCallForUser({ callId, roomId, userId });
+          if (!call) {
+            return socket.emit('call:error', { callId, roomId, message: 'Call not found' });
           }
+
+          clearRingTimer(call._id);
+          clearQuotaTimers(call._id);
+          const { call: ended, alreadyEnded } = await endCall(call._id, { userId });
+          if (!ended || alreadyEnded) return;
+
+          // Notify the other party that the call ended
+          nsp.to(`user_${getPeerId(ended, userId)}`).emit('call:ended', {
+            callId: ended._id.toString(),
+            roomId: ended.zegoData.roomId,
+            status: ended.status,
+            duration: ended.duration,
+            endedBy: userId,
+            timestamp: ended.endedAt
+          });
         } catch (error) {
           console.error('Call end error:', error);
         }
@@ -388,6 +623,7 @@ export default function (nsp) {
             isOnline: false,
             lastSeen: new Date()
           });
+          touchLastActive(userId);
 
           // Notify friends about offline status
           socket.broadcast.emit('user_offline', {
@@ -412,6 +648,130 @@ export default function (nsp) {
 
 // Helper Functions
 
+// Persist activity for suggestion ranking; never blocks the socket flow
+function touchLastActive(userId) {
+  User.updateOne({ _id: userId }, { lastActiveAt: new Date() })
+    .catch(err => console.error('lastActiveAt update error:', err));
+}
+
+// ===== CALL HELPERS =====
+
+function getParticipantRole(call, userId) {
+  return call.participants.find(p => p.userId.toString() === userId)?.role;
+}
+
+function getPeerId(call, userId) {
+  return call.participants.find(p => p.userId.toString() !== userId)?.userId.toString();
+}
+
+// Mark the call missed if nobody answers within the ring timeout
+function startRingTimer(nsp, callId, callerId, receiverId) {
+  const timer = setTimeout(async () => {
+    ringTimers.delete(callId);
+    try {
+      const missed = await missCall(callId, { reason: 'timeout' });
+      if (!missed) return;
+
+      console.log(`⏰ Call ${callId} missed: no answer`);
+      const payload = {
+        callId,
+        callerId,
+        receiverId,
+        roomId: missed.zegoData.roomId,
+        reason: 'timeout',
+        timestamp: missed.endedAt
+      };
+      nsp.to(`user_${callerId}`).emit('call:missed', payload);
+      nsp.to(`user_${receiverId}`).emit('call:missed', payload);
+    } catch (error) {
+      console.error('Call ring timeout error:', error);
+    }
+  }, getRingTimeoutMs());
+
+  ringTimers.set(callId, timer);
+}
+
+function clearRingTimer(callId) {
+  const key = callId.toString();
+  const timer = ringTimers.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    ringTimers.delete(key);
+  }
+}
+
+function emitToParticipants(nsp, call, event, payload) {
+  call.participants.forEach(p => nsp.to(`user_${p.userId}`).emit(event, payload));
+}
+
+/**
+ * Limit an answered call to the smaller audio/video allowance of its participants:
+ * warn both sides shortly before it runs out, then hang up for them.
+ */
+async function startQuotaTimers(nsp, call) {
+  if (process.env.BYPASS_SUBSCRIPTION_CHECKS === 'true') return;
+
+  const callId = call._id.toString();
+  const userIds = call.participants.map(p => p.userId.toString());
+  const remaining = await Promise.all(userIds.map(id => getRemainingCallSeconds(id, call.type)));
+  const limitSec = Math.min(...remaining);
+  const limitedUserId = userIds[remaining.indexOf(limitSec)];
+  if (limitSec * 1000 > MAX_TIMER_MS) return;
+
+  const warningSec = getQuotaWarningSeconds();
+  const timers = [];
+
+  if (limitSec > warningSec) {
+    timers.push(setTimeout(async () => {
+      try {
+        const current = await Call.findById(callId).select('status');
+        if (!current || isFinal(current)) return;
+
+        emitToParticipants(nsp, call, 'call:quota_warning', {
+          callId,
+          roomId: call.zegoData.roomId,
+          type: call.type,
+          remainingSec: warningSec,
+          limitedUserId,
+          timestamp: new Date()
+        });
+      } catch (error) {
+        console.error('Call quota warning error:', error);
+      }
+    }, (limitSec - warningSec) * 1000));
+  }
+
+  timers.push(setTimeout(() => forceEndCall(nsp, callId, limitedUserId), limitSec * 1000));
+  quotaTimers.set(callId, timers);
+}
+
+async function forceEndCall(nsp, callId, limitedUserId) {
+  quotaTimers.delete(callId);
+  try {
+    const { call: ended, alreadyEnded } = await endCall(callId, { reason: 'quota_exhausted' });
+    if (!ended || alreadyEnded) return;
+
+    console.log(`⛔ Call ${callId} force-ended: ${ended.type} allowance exhausted`);
+    emitToParticipants(nsp, ended, 'call:force_end', {
+      callId,
+      roomId: ended.zegoData.roomId,
+      type: ended.type,
+      reason: 'quota_exhausted',
+      limitedUserId,
+      duration: ended.duration,
+      timestamp: ended.endedAt
+    });
+  } catch (error) {
+    console.error('Call force end error:', error);
+  }
+}
+
+function clearQuotaTimers(callId) {
+  const key = callId.toString();
+  (quotaTimers.get(key) || []).forEach(clearTimeout);
+  quotaTimers.delete(key);
+}
+
 function generateRoomId(userId1, userId2) {
   // Ensure consistent room ID regardless of user order
   const sortedIds = [userId1, userId2].sort();
@@ -526,7 +886,7 @@ async function checkMessageLimit(userId) {
   }
 }
 
-async function saveMessageToDB(fromId, toId, message, messageId, tempId = null) {
+async function saveMessageToDB(fromId, toId, message, messageId, tempId = null, { attachments = [], replyTo = null } = {}) {
   try {
     // Update subscription usage (skip when bypass enabled)
     const subscription = await Subscription.findOne({ userId: fromId });
@@ -544,33 +904,17 @@ async function saveMessageToDB(fromId, toId, message, messageId, tempId = null)
       console.log('🚧 Socket subscription usage update skipped (bypass enabled)');
     }
 
-    // Find or create chat
-    let chat = await Chat.findOne({
-      $or: [
-        { from: fromId, to: toId },
-        { from: toId, to: fromId }
-      ]
-    });
-
-    if (!chat) {
-      chat = await Chat.create({
-        from: fromId,
-        to: toId,
-        messages: []
-      });
-    }
-
-    // Add message with consistent timestamp
-    const messageTimestamp = new Date();
-    chat.messages.push({
+    const { chat, message: saved } = await saveMessage({
       from: fromId,
       to: toId,
       message,
-      petitionId: messageId,
-      createdAt: messageTimestamp
+      attachments,
+      replyTo,
+      petitionId: messageId
     });
+    const messageTimestamp = saved.createdAt;
 
-    await chat.save();
+    await notifyMessage({ fromUserId: fromId, toUserId: toId, chatId: chat._id });
 
     const maxMessages = subscription?.planId?.limits?.messagesPerDay;
     const remainingMessages = process.env.BYPASS_SUBSCRIPTION_CHECKS === 'true'
@@ -579,6 +923,7 @@ async function saveMessageToDB(fromId, toId, message, messageId, tempId = null)
 
     return {
       success: true,
+      id: saved._id,
       remainingMessages: remainingMessages === null ? 'Unlimited' : remainingMessages,
       tempId: tempId, // Return tempId for client matching
       timestamp: messageTimestamp.toISOString() // Return consistent timestamp
@@ -590,24 +935,5 @@ async function saveMessageToDB(fromId, toId, message, messageId, tempId = null)
   }
 }
 
-async function markMessagesAsRead(readerId, senderId, messageIds) {
-  try {
-    await Chat.updateMany(
-      {
-        $or: [
-          { from: senderId, to: readerId },
-          { from: readerId, to: senderId }
-        ],
-        'messages.petitionId': { $in: messageIds }
-      },
-      {
-        $set: { 'messages.$.status': 'read' }
-      }
-    );
-  } catch (error) {
-    console.error('Mark messages as read error:', error);
-  }
-}
-
 // Export helper functions for use in other modules
 export { onlineUsers, generateRoomId };
\ No newline at end of file
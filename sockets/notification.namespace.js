@@ -1,62 +1,68 @@
-import Notification from "../models/Notification.js";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import {
+  setNotificationNamespace,
+  getUnreadCount,
+  markRead,
+  markAllRead
+} from "../services/notificationService.js";
 
 export default function (nsp) {
-  nsp.on("connection", (socket) => {
-    const userId = socket.handshake.query.userId;
-    if (!userId) return socket.disconnect();
-    
+  // Let controllers and services push notifications to this namespace
+  setNotificationNamespace(nsp);
+
+  // Authenticate with the same JWT as the REST API; never trust a client-sent userId
+  nsp.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
+      if (!token) {
+        return next(new Error('Authentication token required'));
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('_id status');
+      if (!user || user.status !== 'Active') {
+        return next(new Error('Invalid user or inactive account'));
+      }
+
+      socket.userId = user._id.toString();
+      next();
+    } catch (error) {
+      console.error('Notification socket authentication error:', error);
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  nsp.on("connection", async (socket) => {
+    const userId = socket.userId;
+
     socket.join(userId);
     console.log(`🔔 User ${userId} connected to notifications`);
 
-    /**
-     * Example usage: Send notification
-     * call this function wherever you need (friend request, message, call, like, comment)
-     */
-    const sendNotification = async ({ type, fromUserId, referenceId, text }) => {
-      try {
-        const notification = await Notification.create({
-          userId,
-          type,
-          fromUserId,
-          referenceId,
-          text
-        });
+    try {
+      socket.emit("notification:unread_count", { count: await getUnreadCount(userId) });
+    } catch (err) {
+      console.error("notification unread count error:", err);
+    }
+
+    // Notifications are created server-side (services/notificationService.js);
+    // clients only receive them and mark their own as read.
 
-        // Emit real-time to user
-        nsp.to(userId).emit("notification:new", notification);
+    // Mark notification read (synced to the user's other tabs)
+    socket.on("notification:read", async ({ notificationId } = {}) => {
+      try {
+        await markRead(userId, notificationId);
       } catch (err) {
-        console.error("sendNotification error:", err);
+        console.error("notification:read error:", err);
       }
-    };
-
-    // Example: message received (can be called from controller)
-    socket.on("message:received", async (data) => {
-      await sendNotification({
-        type: "message",
-        fromUserId: data.senderId,
-        referenceId: data.messageId,
-        text: `New message from ${data.senderName}`
-      });
     });
 
-    // Example: friend request
-    socket.on("friend:request", async (data) => {
-      await sendNotification({
-        type: "friend_request",
-        fromUserId: data.senderId,
-        text: `${data.senderName} sent you a friend request`
-      });
-    });
-
-    // Mark notification read
-    socket.on("notification:read", async ({ notificationId }) => {
-      const notification = await Notification.findByIdAndUpdate(
-        notificationId,
-        { isRead: true },
-        { new: true }
-      );
-      if (notification) {
-        nsp.to(notification.userId.toString()).emit("notification:read", notification);
+    // Mark everything read (synced to the user's other tabs)
+    socket.on("notification:read_all", async () => {
+      try {
+        await markAllRead(userId);
+      } catch (err) {
+        console.error("notification:read_all error:", err);
       }
     });
 
@@ -64,4 +70,4 @@ export default function (nsp) {
       console.log(`❌ User ${userId} disconnected from notifications`);
     });
   });
-}
\ No newline at end of file
+}
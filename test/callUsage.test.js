@@ -0,0 +1,153 @@
+// Answered calls are metered for both participants without any client request.
+// Model calls are stubbed, so no database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Call from '../models/Call.js';
+import CallUsageSession from '../models/CallUsageSession.js';
+import Notification from '../models/Notification.js';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import { acceptCall, createCall, endCall } from '../services/callService.js';
+import { sweepAbandonedSessions } from '../services/callUsageService.js';
+import { stopCallUsage } from '../controllers/usage.controller.js';
+
+mongoose.set('bufferCommands', false);
+
+const callerId = new mongoose.Types.ObjectId();
+const calleeId = new mongoose.Types.ObjectId();
+
+const answeredCall = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'audio',
+  status: 'ongoing',
+  startedAt: new Date(Date.now() - 1000),
+  participants: [
+    { userId: callerId, role: 'caller' },
+    { userId: calleeId, role: 'callee' }
+  ]
+});
+
+// Missed calls notify the callee; keep that away from the database
+function stubMissedCallNotification() {
+  const noUser = Object.assign(Promise.resolve(null), { lean: async () => null });
+  mock.method(User, 'findById', () => ({ select: () => noUser }));
+  mock.method(Notification, 'create', async (doc) => doc);
+}
+
+afterEach(() => mock.restoreAll());
+
+test('accepting a call opens a usage session for every participant from the answer time', async () => {
+  const call = answeredCall();
+  mock.method(Call, 'findOneAndUpdate', async () => call);
+  mock.method(CallUsageSession, 'exists', async () => null);
+  mock.method(CallUsageSession, 'findOne', async () => null);
+  mock.method(Subscription, 'findOne', async ({ userId }) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    audioTimeAllowed: 600,
+    audioTimeUsedTotal: 100
+  }));
+  const create = mock.method(CallUsageSession, 'create', async (doc) => doc);
+
+  assert.equal(await acceptCall(call._id), call);
+
+  assert.equal(create.mock.callCount(), 2);
+  const sessions = create.mock.calls.map(c => c.arguments[0]);
+  assert.deepEqual(sessions.map(s => String(s.userId)).sort(), [String(callerId), String(calleeId)].sort());
+  for (const session of sessions) {
+    assert.equal(session.startedAt, call.startedAt);
+    assert.equal(session.maxSeconds, 500);
+    assert.equal(session.type, 'audio');
+  }
+});
+
+test('participants who already started metering keep their session', async () => {
+  const call = answeredCall();
+  mock.method(Call, 'findOneAndUpdate', async () => call);
+  mock.method(CallUsageSession, 'exists', async ({ userId }) => (String(userId) === String(callerId) ? { _id: 1 } : null));
+  mock.method(CallUsageSession, 'findOne', async () => null);
+  mock.method(Subscription, 'findOne', async ({ userId }) => ({ _id: new mongoose.Types.ObjectId(), userId, audioTimeAllowed: 60 }));
+  const create = mock.method(CallUsageSession, 'create', async (doc) => doc);
+
+  await acceptCall(call._id);
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(String(create.mock.calls[0].arguments[0].userId), String(calleeId));
+});
+
+test('a call that was no longer ringing opens nothing', async () => {
+  mock.method(Call, 'findOneAndUpdate', async () => null);
+  const create = mock.method(CallUsageSession, 'create', async (doc) => doc);
+
+  assert.equal(await acceptCall(new mongoose.Types.ObjectId()), null);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('ending a call that is still ringing keeps the given reason', async () => {
+  const ringing = { ...answeredCall(), status: 'initiated', startedAt: null, callerId };
+  mock.method(Call, 'findById', async () => ringing);
+  const miss = mock.method(Call, 'findOneAndUpdate', async (filter, update) => ({ ...ringing, ...update.$set }));
+  mock.method(CallUsageSession, 'find', async () => []);
+  stubMissedCallNotification();
+
+  const { call } = await endCall(ringing._id, { userId: callerId, reason: 'offline' });
+
+  assert.equal(miss.mock.calls[0].arguments[1].$set.endReason, 'offline');
+  assert.equal(call.endReason, 'offline');
+});
+
+test('a caller hanging up before an answer is recorded as cancelled', async () => {
+  const ringing = { ...answeredCall(), status: 'initiated', startedAt: null, callerId };
+  mock.method(Call, 'findById', async () => ringing);
+  const miss = mock.method(Call, 'findOneAndUpdate', async (filter, update) => ({ ...ringing, ...update.$set }));
+  mock.method(CallUsageSession, 'find', async () => []);
+  stubMissedCallNotification();
+
+  await endCall(ringing._id, { userId: callerId });
+
+  assert.equal(miss.mock.calls[0].arguments[1].$set.endReason, 'cancelled');
+});
+
+test('stopping usage while the call is ongoing keeps the session open', async () => {
+  const call = answeredCall();
+  const session = { _id: new mongoose.Types.ObjectId(), type: 'audio', status: 'open', startedAt: call.startedAt, maxSeconds: 600 };
+  mock.method(Call, 'findOne', async () => call);
+  mock.method(CallUsageSession, 'findOne', async () => session);
+  const close = mock.method(CallUsageSession, 'findOneAndUpdate', async () => session);
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+
+  await stopCallUsage({ user: { _id: callerId }, body: { callId: call._id.toString() } }, res);
+
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.ongoing, true);
+  assert.equal(close.mock.callCount(), 0);
+});
+
+test('the sweeper ends a call whose session ran past its quota', async () => {
+  const call = { ...answeredCall(), startedAt: new Date(Date.now() - 60 * 60 * 1000) };
+  const session = { _id: new mongoose.Types.ObjectId(), callId: call._id, status: 'open', startedAt: call.startedAt, maxSeconds: 60 };
+  // The sweeper pages open sessions; ending the call then finds none left open
+  mock.method(CallUsageSession, 'find', () => Object.assign(Promise.resolve([]), { limit: async () => [session] }));
+  mock.method(Call, 'findById', () => Object.assign(Promise.resolve(call), {
+    select: async () => ({ _id: call._id, status: 'ongoing', endedAt: null })
+  }));
+  const end = mock.method(Call, 'findOneAndUpdate', async (filter, update) => ({ ...call, ...update.$set }));
+  mock.method(CallUsageSession, 'findOne', async () => null);
+
+  assert.equal(await sweepAbandonedSessions(), 1);
+  assert.equal(end.mock.calls[0].arguments[1].$set.endReason, 'quota_exhausted');
+});
+
+test('a new call gets a server-generated room, never the client\'s', async () => {
+  const create = mock.method(Call, 'create', async (doc) => doc);
+
+  const call = await createCall({ callerId, receiverId: calleeId, type: 'video', roomId: 'call_someone_elses_room' });
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.notEqual(call.zegoData.roomId, 'call_someone_elses_room');
+  assert.match(call.zegoData.roomId, /^call_[0-9a-f-]{36}$/);
+});
@@ -0,0 +1,40 @@
+// One conversation per pair of users, created with a single upsert.
+// Model calls are stubbed, so no database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Chat, { chatPairKey } from '../models/Chat.js';
+import { findOrCreateChat } from '../services/messageService.js';
+
+mongoose.set('bufferCommands', false);
+
+const alice = new mongoose.Types.ObjectId().toString();
+const bob = new mongoose.Types.ObjectId().toString();
+
+afterEach(() => mock.restoreAll());
+
+test('the pair key is the same whoever writes first', () => {
+  assert.equal(chatPairKey(alice, bob), chatPairKey(bob, alice));
+});
+
+test('findOrCreateChat upserts on the pair key and keys older chats on the way', async () => {
+  const upsert = mock.method(Chat, 'findOneAndUpdate', async () => ({ _id: 'chat' }));
+
+  assert.deepEqual(await findOrCreateChat(alice, bob), { _id: 'chat' });
+
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  const pairKey = chatPairKey(alice, bob);
+  assert.deepEqual(filter.$or[0], { pairKey });
+  assert.deepEqual(update, { $set: { pairKey }, $setOnInsert: { from: alice, to: bob } });
+  assert.equal(options.upsert, true);
+});
+
+test('losing the race to create the chat returns the one that won', async () => {
+  mock.method(Chat, 'findOneAndUpdate', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  const findOne = mock.method(Chat, 'findOne', async () => ({ _id: 'winner' }));
+
+  assert.deepEqual(await findOrCreateChat(bob, alice), { _id: 'winner' });
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { pairKey: chatPairKey(alice, bob) });
+});
@@ -0,0 +1,74 @@
+// Digest emails only count messages that are still unread for the user.
+// Model calls are stubbed, so no database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendDigestForUser } from '../services/digestService.js';
+
+mongoose.set('bufferCommands', false);
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'someone@example.com',
+  Name: { firstName: 'Sam' },
+  notificationPreferences: { digest: 'daily' },
+  lastDigestSentAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)
+};
+
+const lean = (value) => ({ lean: async () => value });
+
+afterEach(() => mock.restoreAll());
+
+test('messages that were read, unsent, deleted or cleared are left out', async () => {
+  const clearedChatId = new mongoose.Types.ObjectId();
+  const clearedAt = new Date(Date.now() - 60 * 60 * 1000);
+  mock.method(Chat, 'find', () => ({ select: () => lean([{ _id: clearedChatId, clearedAt: { [user._id.toString()]: clearedAt } }]) }));
+  mock.method(Notification, 'find', () => ({ sort: () => ({ limit: () => lean([]) }) }));
+  const aggregate = mock.method(Message, 'aggregate', async () => []);
+  const claim = mock.method(User, 'findOneAndUpdate', async () => null);
+
+  assert.equal(await sendDigestForUser(user), false);
+
+  const { $match } = aggregate.mock.calls[0].arguments[0][0];
+  assert.equal($match.to, user._id);
+  assert.equal($match.createdAt.$gt, user.lastDigestSentAt);
+  assert.equal($match.readAt, null);
+  assert.equal($match.unsentAt, null);
+  assert.deepEqual($match.hiddenFor, { $ne: user._id });
+  assert.deepEqual($match.$nor, [{ chatId: clearedChatId, createdAt: { $lte: clearedAt } }]);
+  // Nothing left to report, so no email is claimed
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test('no digest is collected or sent during quiet hours', async () => {
+  const quietUser = {
+    ...user,
+    notificationPreferences: {
+      digest: 'daily',
+      quietHours: { enabled: true, start: '00:00', end: '23:59', timezone: 'UTC' }
+    }
+  };
+  const findNotifications = mock.method(Notification, 'find', () => ({ sort: () => ({ limit: () => lean([]) }) }));
+  const aggregate = mock.method(Message, 'aggregate', async () => []);
+
+  assert.equal(await sendDigestForUser(quietUser, new Date('2026-01-01T12:00:00Z')), false);
+  assert.equal(findNotifications.mock.callCount(), 0);
+  assert.equal(aggregate.mock.callCount(), 0);
+});
+
+test('types with email turned off stay out of the digest', async () => {
+  const mutedUser = { ...user, notificationPreferences: { digest: 'daily', like: { email: false }, message: { email: false } } };
+  const findNotifications = mock.method(Notification, 'find', () => ({ sort: () => ({ limit: () => lean([]) }) }));
+  const aggregate = mock.method(Message, 'aggregate', async () => []);
+
+  await sendDigestForUser(mutedUser);
+
+  const { type } = findNotifications.mock.calls[0].arguments[0];
+  assert.ok(!type.$in.includes('like'));
+  assert.ok(type.$in.includes('friend_request'));
+  assert.equal(aggregate.mock.callCount(), 0);
+});
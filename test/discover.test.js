@@ -0,0 +1,112 @@
+// /discover and the older search routes built on it. Model calls are stubbed,
+// so no database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Friendship from '../models/Friendship.js';
+import User from '../models/User.js';
+import {
+  discoverUsers,
+  searchUsersByAge,
+  searchUsersByGender,
+  searchUsersByLocation
+} from '../controllers/user.auth.controller.js';
+
+mongoose.set('bufferCommands', false);
+
+const viewerId = new mongoose.Types.ObjectId();
+const viewer = { _id: viewerId, id: viewerId.toString(), gender: 'Male', discoveryPreferences: { minAge: 25, maxAge: 40 } };
+const found = [{ _id: new mongoose.Types.ObjectId(), Name: { firstName: 'Alex' }, profilePic: null, photos: [] }];
+
+const request = (query) => ({ query, user: viewer });
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+function stubUsers() {
+  mock.method(Friendship, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  const chain = { select: () => chain, sort: () => chain, skip: () => chain, limit: () => chain, lean: async () => found };
+  return mock.method(User, 'find', () => chain);
+}
+
+afterEach(() => mock.restoreAll());
+
+test('minAge above maxAge is rejected, including against the stored preference', async () => {
+  const find = stubUsers();
+
+  const explicit = response();
+  await discoverUsers(request({ minAge: '50', maxAge: '30' }), explicit);
+  assert.equal(explicit.statusCode, 400);
+
+  const againstStored = response();
+  await discoverUsers(request({ minAge: '45' }), againstStored);
+  assert.equal(againstStored.statusCode, 400);
+
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('the location search returns nothing until a place is given', async () => {
+  const find = stubUsers();
+  const res = response();
+
+  await searchUsersByLocation(request({}), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.users, []);
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('the location search keeps its users page shape', async () => {
+  stubUsers();
+  const res = response();
+
+  await searchUsersByLocation(request({ city: 'Pune', page: '2', limit: '1' }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(Object.keys(res.body).sort(), ['count', 'hasMore', 'limit', 'page', 'success', 'users']);
+  assert.equal(res.body.page, 2);
+  assert.equal(res.body.limit, 1);
+  assert.equal(res.body.hasMore, true);
+});
+
+test('the age search answers with every match in data, unpaginated', async () => {
+  const find = stubUsers();
+  const paged = { skip: 0, limit: 0 };
+  find.mock.mockImplementation(() => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      skip: () => { paged.skip++; return chain; },
+      limit: () => { paged.limit++; return chain; },
+      lean: async () => found
+    };
+    return chain;
+  });
+  const res = response();
+
+  await searchUsersByAge(request({ minAge: '30', maxAge: '35', limit: '1' }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(Object.keys(res.body).sort(), ['count', 'data', 'success']);
+  assert.equal(res.body.data[0].Name.firstName, 'Alex');
+  assert.deepEqual(paged, { skip: 0, limit: 0 });
+});
+
+test('the gender search answers with a data page and needs a gender', async () => {
+  stubUsers();
+
+  const res = response();
+  await searchUsersByGender(request({ gender: 'Female', page: '3', limit: '5' }), res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(Object.keys(res.body).sort(), ['count', 'data', 'hasMore', 'limit', 'page', 'success']);
+  assert.equal(res.body.page, 3);
+  assert.equal(res.body.limit, 5);
+  assert.equal(res.body.hasMore, false);
+
+  const noGender = response();
+  await searchUsersByGender(request({}), noGender);
+  assert.equal(noGender.statusCode, 400);
+});
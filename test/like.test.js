@@ -0,0 +1,41 @@
+// Likes and the allowances they spend. Model calls are stubbed, so no
+// database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Like from '../models/Likes.js';
+import Friendship from '../models/Friendship.js';
+import Subscription from '../models/Subscription.js';
+import { toggleLikeProfile } from '../controllers/like.controller.js';
+
+mongoose.set('bufferCommands', false);
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a mutual like that fails to save gives back the like and the match', async () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const likedUserId = new mongoose.Types.ObjectId().toString();
+  const sub = { _id: new mongoose.Types.ObjectId(), userId, likesUsed: 0, matchesUsed: 0 };
+
+  mock.method(Like, 'findOne', async ({ liker }) => (liker === likedUserId ? { _id: 'mutual' } : null));
+  mock.method(Friendship, 'exists', async () => null);
+  mock.method(Subscription, 'findOne', () => ({ sort: async () => sub }));
+  mock.method(Subscription, 'findOneAndUpdate', async (filter, update) => ({ ...sub, ...update.$inc }));
+  const released = mock.method(Subscription, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(Like, 'create', async () => { throw new Error('write failed'); });
+  mock.method(console, 'error', () => {});
+
+  const res = response();
+  await toggleLikeProfile({ user: { id: userId }, params: { id: likedUserId } }, res);
+
+  assert.equal(res.statusCode, 500);
+  const givenBack = released.mock.calls.map(call => Object.keys(call.arguments[1].$inc)[0]).sort();
+  assert.deepEqual(givenBack, ['likesUsed', 'matchesUsed']);
+});
@@ -0,0 +1,61 @@
+// Messages are changed by their _id only (petitionIds are per-sender client ids),
+// and not at all across a block.
+// Model calls are stubbed, so no database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Friendship from '../models/Friendship.js';
+import Message from '../models/Message.js';
+import { editMessage, findUserMessage, resolveReplyTo, toggleReaction } from '../services/messageService.js';
+
+mongoose.set('bufferCommands', false);
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+afterEach(() => mock.restoreAll());
+
+test('findUserMessage looks a message up by its _id within the user\'s conversations', async () => {
+  const messageId = new mongoose.Types.ObjectId().toString();
+  const findOne = mock.method(Message, 'findOne', async () => ({ _id: messageId }));
+
+  await findUserMessage(userId, messageId);
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+    _id: messageId,
+    $or: [{ from: userId }, { to: userId }]
+  });
+});
+
+test('a petitionId never selects a message to change or quote', async () => {
+  const findOne = mock.method(Message, 'findOne', async () => ({}));
+
+  assert.equal(findUserMessage(userId, 'MSGa1b2c'), null);
+  assert.deepEqual(await resolveReplyTo(userId, new mongoose.Types.ObjectId().toString(), 'MSGa1b2c'), {
+    error: 'replyTo must be a message id',
+    status: 400
+  });
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('reacting or editing across a block is refused', async () => {
+  const messageId = new mongoose.Types.ObjectId().toString();
+  const message = {
+    _id: messageId,
+    from: userId,
+    to: new mongoose.Types.ObjectId().toString(),
+    message: 'hi',
+    createdAt: new Date(),
+    unsentAt: null
+  };
+  mock.method(Message, 'findOne', async () => message);
+  mock.method(Friendship, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  const update = mock.method(Message, 'findOneAndUpdate', async () => message);
+
+  const reacted = await toggleReaction(userId, messageId, '👍');
+  assert.equal(reacted.code, 'BLOCKED');
+  assert.equal(reacted.status, 403);
+
+  const edited = await editMessage(userId, messageId, 'hello');
+  assert.equal(edited.code, 'BLOCKED');
+  assert.equal(update.mock.callCount(), 0);
+});
@@ -0,0 +1,60 @@
+// Unread counters pushed over /notification. Model calls are stubbed, so no
+// database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { setNotificationNamespace } from '../services/notificationService.js';
+import { deleteNotification } from '../controllers/notification.controller.js';
+
+mongoose.set('bufferCommands', false);
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+function fakeNamespace() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  setNotificationNamespace(null);
+});
+
+test('deleting a notification pushes the new unread count', async () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const notificationId = new mongoose.Types.ObjectId().toString();
+  const nsp = fakeNamespace();
+  setNotificationNamespace(nsp);
+  mock.method(Notification, 'findOneAndDelete', async () => ({ _id: notificationId, userId, isRead: false }));
+  mock.method(Notification, 'countDocuments', async () => 2);
+
+  const res = response();
+  await deleteNotification({ params: { id: notificationId }, user: { id: userId } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(nsp.emitted, [{ room: userId, event: 'notification:unread_count', payload: { count: 2 } }]);
+});
+
+test('deleting someone else\'s notification pushes nothing', async () => {
+  const nsp = fakeNamespace();
+  setNotificationNamespace(nsp);
+  mock.method(Notification, 'findOneAndDelete', async () => null);
+
+  const res = response();
+  await deleteNotification({
+    params: { id: new mongoose.Types.ObjectId().toString() },
+    user: { id: new mongoose.Types.ObjectId().toString() }
+  }, res);
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(nsp.emitted, []);
+});
@@ -0,0 +1,51 @@
+// OTP attempts are counted atomically in the pending store before the hash is
+// compared. Model calls are stubbed, so no database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PendingRecord from '../models/PendingRecord.js';
+import { createTtlStore } from '../utils/pendingStore.js';
+import { issueOtp, checkOtp, MAX_OTP_ATTEMPTS } from '../utils/gerateOtp.js';
+
+mongoose.set('bufferCommands', false);
+
+const scope = 'reset:someone@example.com';
+const lean = (value) => ({ lean: async () => value });
+
+afterEach(() => mock.restoreAll());
+
+test('an attempt is counted with a conditional $inc below the limit', async () => {
+  const { state } = issueOtp(scope);
+  const update = mock.method(PendingRecord, 'findOneAndUpdate', () =>
+    lean({ data: { otp: { ...state, attempts: 1 } } }));
+
+  const { data, counted } = await createTtlStore('password_reset').countAttempt('someone@example.com', 'otp', MAX_OTP_ATTEMPTS);
+
+  assert.equal(counted, true);
+  assert.equal(data.otp.attempts, 1);
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.equal(filter.key, 'password_reset:someone@example.com');
+  assert.deepEqual(filter['data.otp.attempts'], { $lt: MAX_OTP_ATTEMPTS });
+  assert.deepEqual(change, { $inc: { 'data.otp.attempts': 1 } });
+});
+
+test('once the limit is reached the attempt is not counted and the OTP is refused', async () => {
+  const issued = issueOtp(scope);
+  const state = { ...issued.state, attempts: MAX_OTP_ATTEMPTS };
+  mock.method(PendingRecord, 'findOneAndUpdate', () => lean(null));
+  mock.method(PendingRecord, 'findOne', () => lean({ data: { otp: state } }));
+
+  const { data, counted } = await createTtlStore('password_reset').countAttempt('someone@example.com', 'otp', MAX_OTP_ATTEMPTS);
+
+  assert.equal(counted, false);
+  // Even the right code is refused
+  assert.equal(checkOtp(scope, data.otp, issued.otp, counted), 'TOO_MANY_ATTEMPTS');
+});
+
+test('checkOtp accepts the right code and reports the last wrong one as too many', () => {
+  const issued = issueOtp(scope);
+  assert.equal(checkOtp(scope, { ...issued.state, attempts: 1 }, issued.otp, true), null);
+  assert.equal(checkOtp(scope, { ...issued.state, attempts: 1 }, '000000x', true), 'INVALID_OTP');
+  assert.equal(checkOtp(scope, { ...issued.state, attempts: MAX_OTP_ATTEMPTS }, '000000x', true), 'TOO_MANY_ATTEMPTS');
+  assert.equal(checkOtp(scope, { ...issued.state, expiresAt: Date.now() - 1 }, issued.otp, true), 'OTP_EXPIRED');
+});
@@ -0,0 +1,66 @@
+// Checkout verification against the fake provider: only a captured payment
+// grants a plan, and a refunded one stops counting. No database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Plan from '../models/Plan.js';
+
+process.env.PAYMENT_PROVIDER = 'fake';
+mongoose.set('bufferCommands', false);
+
+// subscription.controller seeds plans on import
+mock.method(Plan, 'countDocuments', async () => 1);
+const { createOrder, verifyCheckout, getProvider } = await import('../services/paymentService.js');
+const { verifyPayment } = await import('../controllers/payment.controller.js');
+
+const userId = new mongoose.Types.ObjectId();
+const plan = { _id: new mongoose.Types.ObjectId(), planType: 'basic', price: 499 };
+
+async function checkout(status) {
+  const order = await createOrder({ plan, userId });
+  const { orderId, paymentId, signature } = getProvider().completeCheckout(order.id, { status });
+  return verifyCheckout({ orderId, paymentId, signature, plan, userId });
+}
+
+test('a captured payment is verified', async () => {
+  const result = await checkout('captured');
+  assert.equal(result.ok, true);
+});
+
+test('an authorized payment is not paid yet', async () => {
+  const result = await checkout('authorized');
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'PAYMENT_PENDING');
+});
+
+test('a failed payment is rejected', async () => {
+  const result = await checkout('failed');
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'PAYMENT_NOT_CAPTURED');
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.method(Plan, 'countDocuments', async () => 1);
+});
+
+test('verifying a refunded order again reports the refund, not the old subscription', async () => {
+  mock.method(Plan, 'findById', async () => plan);
+  mock.method(Payment, 'findOne', async () => ({ orderId: 'order_fake_1', status: 'refunded', refundedAmount: 499, subscriptionId: new mongoose.Types.ObjectId() }));
+  const req = {
+    user: { id: userId.toString() },
+    body: { planId: plan._id.toString(), orderId: 'order_fake_1', paymentId: 'pay_fake_1', signature: 'sig' }
+  };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+
+  await verifyPayment(req, res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, 'PAYMENT_REFUNDED');
+  assert.equal(res.body.subscription, undefined);
+});
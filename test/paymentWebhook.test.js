@@ -0,0 +1,116 @@
+// Refund webhooks end the subscription the refunded payment granted.
+// Runs against the fake provider with the model calls stubbed, so no
+// database is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Plan from '../models/Plan.js';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+
+process.env.PAYMENT_PROVIDER = 'fake';
+mongoose.set('bufferCommands', false);
+
+// subscription.controller seeds plans on import
+mock.method(Plan, 'countDocuments', async () => 1);
+const { handleWebhook, getProvider } = await import('../services/paymentService.js');
+
+const userId = new mongoose.Types.ObjectId();
+const subscriptionId = new mongoose.Types.ObjectId();
+
+function stubLedger(status = 'paid') {
+  const payment = new Payment({
+    userId,
+    planId: new mongoose.Types.ObjectId(),
+    provider: 'fake',
+    orderId: 'order_fake_1',
+    providerPaymentId: 'pay_fake_1',
+    amount: 499,
+    status,
+    subscriptionId
+  });
+  mock.method(payment, 'save', async () => payment);
+  mock.method(Payment, 'findOne', async () => payment);
+  mock.method(WebhookEvent, 'create', async (doc) => ({ ...doc, save: async () => {} }));
+  return payment;
+}
+
+const refundWebhook = () => getProvider().buildWebhook('refund.processed', {
+  orderId: 'order_fake_1',
+  paymentId: 'pay_fake_1',
+  refundId: 'rfnd_fake_1',
+  amount: 499
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.method(Plan, 'countDocuments', async () => 1);
+});
+
+test('a full refund webhook expires the subscription it paid for', async () => {
+  const payment = stubLedger();
+  const expire = mock.method(Subscription, 'findOneAndUpdate', async (filter, update) => ({
+    _id: filter._id,
+    userId,
+    endDate: update.$set.endDate
+  }));
+  mock.method(Plan, 'findOne', async () => null);
+
+  const before = Date.now();
+  const result = await handleWebhook(refundWebhook());
+
+  assert.equal(result.ok, true);
+  assert.equal(result.status, 'processed');
+  assert.equal(payment.status, 'refunded');
+
+  assert.equal(expire.mock.callCount(), 1);
+  const [filter, update] = expire.mock.calls[0].arguments;
+  assert.equal(String(filter._id), String(subscriptionId));
+  assert.equal(String(filter.userId), String(userId));
+  assert.ok(filter.endDate.$gt instanceof Date);
+  assert.ok(update.$set.endDate.getTime() >= before);
+  assert.ok(update.$set.endDate.getTime() <= Date.now());
+});
+
+test('the user is moved to the free plan after the refund', async () => {
+  stubLedger();
+  mock.method(Subscription, 'findOneAndUpdate', async (filter, update) => ({ _id: filter._id, endDate: update.$set.endDate }));
+  const freePlan = { _id: new mongoose.Types.ObjectId(), planType: 'free', durationDays: 15, limits: {} };
+  mock.method(Plan, 'findOne', async () => freePlan);
+  mock.method(User, 'findById', async () => ({ _id: userId, save: async () => {} }));
+  mock.method(Subscription, 'findOne', async () => null);
+  const create = mock.method(Subscription, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+  const result = await handleWebhook(refundWebhook());
+
+  assert.equal(result.status, 'processed');
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(create.mock.calls[0].arguments[0].planType, 'free');
+  assert.equal(String(create.mock.calls[0].arguments[0].userId), String(userId));
+});
+
+test('a refund for a subscription that already ended changes nothing', async () => {
+  stubLedger();
+  mock.method(Subscription, 'findOneAndUpdate', async () => null);
+  const findPlan = mock.method(Plan, 'findOne', async () => null);
+
+  const result = await handleWebhook(refundWebhook());
+
+  assert.equal(result.status, 'processed');
+  assert.equal(findPlan.mock.callCount(), 0);
+});
+
+test('a refund for an order that was never paid is only recorded', async () => {
+  const payment = stubLedger('failed');
+  const expire = mock.method(Subscription, 'findOneAndUpdate', async () => null);
+
+  const result = await handleWebhook(refundWebhook());
+
+  assert.equal(result.status, 'processed');
+  assert.equal(payment.status, 'failed');
+  assert.equal(payment.refundedAmount, 0);
+  assert.equal(payment.refunds.length, 1);
+  assert.equal(expire.mock.callCount(), 0);
+});
@@ -0,0 +1,57 @@
+// Friend suggestion candidate pools. Model calls are stubbed, so no database
+// is needed: `npm test`
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Friendship from '../models/Friendship.js';
+import DismissedSuggestion from '../models/DismissedSuggestion.js';
+import { getSuggestions } from '../services/suggestionService.js';
+
+mongoose.set('bufferCommands', false);
+
+const id = () => new mongoose.Types.ObjectId();
+const lean = (rows) => ({ select: () => ({ lean: async () => rows }) });
+
+afterEach(() => mock.restoreAll());
+
+test('an idle friend-of-friend is suggested even when the recency pool is full', async () => {
+  const me = id(), friend = id(), idle = id();
+  const recent = Array.from({ length: 3 }, () => ({ _id: id(), location: { city: 'Pune' }, lastActiveAt: new Date() }));
+
+  mock.method(User, 'findById', () => lean({ _id: me, location: { city: 'Pune' } }));
+  mock.method(DismissedSuggestion, 'find', () => lean([]));
+  mock.method(Friendship, 'find', (filter) => {
+    if (filter.status === 'Accepted' && filter.$or[0].user1 === me.toString()) {
+      return lean([{ user1: me, user2: friend }]);
+    }
+    if (filter.status === 'Accepted') return lean([{ user1: friend, user2: idle }]);
+    return lean([{ user1: me, user2: friend }]);
+  });
+
+  const queries = [];
+  mock.method(User, 'find', (filter) => {
+    const query = { filter, sorted: false };
+    queries.push(query);
+    if (filter._id.$in) return lean([{ _id: idle, location: {}, lastActiveAt: new Date(0) }]);
+    // The location pool only ever returns the most recent members
+    const chain = {
+      select: () => chain,
+      sort: () => { query.sorted = true; return chain; },
+      limit: () => chain,
+      collation: () => chain,
+      lean: async () => recent
+    };
+    return chain;
+  });
+
+  const { suggestions } = await getSuggestions(me.toString(), { limit: 10 });
+
+  const [friendsPool, otherPool] = queries;
+  assert.deepEqual(friendsPool.filter._id.$in.map(String), [idle.toString()]);
+  assert.equal(friendsPool.sorted, false);
+  assert.ok(otherPool.filter._id.$nin.map(String).includes(idle.toString()));
+  const suggested = suggestions.find(s => s.id.equals(idle));
+  assert.equal(suggested.mutualFriendsCount, 1);
+  assert.equal(suggestions.length, 4);
+});
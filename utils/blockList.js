@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import Friendship from "../models/Friendship.js";
+
+// A pair has a single Friendship record, so a block by either side hides
+// both users from each other.
+
+export const BLOCKED_MESSAGE = "This user is not available";
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// True if either user has blocked the other
+export const isBlockedBetween = async (userA, userB) => {
+  if (!userA || !userB || !mongoose.isValidObjectId(userA) || !mongoose.isValidObjectId(userB)) return false;
+  const blocked = await Friendship.exists({
+    status: "Blocked",
+    $or: [
+      { user1: userA, user2: userB },
+      { user1: userB, user2: userA }
+    ]
+  });
+  return !!blocked;
+};
+
+// Ids of everyone the user has blocked or been blocked by
+export const getBlockedUserIds = async (userId) => {
+  const relationships = await Friendship.find({
+    status: "Blocked",
+    $or: [{ user1: userId }, { user2: userId }]
+  }).select("user1 user2").lean();
+
+  const self = userId.toString();
+  return relationships.map(rel => (rel.user1.toString() === self ? rel.user2 : rel.user1));
+};
+
+// Aggregation stages on User that drop anyone blocked in either direction
+export const excludeBlockedStages = (loginUserId) => {
+  const loginId = toObjectId(loginUserId);
+  return [
+    {
+      $lookup: {
+        from: "friendships",
+        let: { userId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$status", "Blocked"] },
+                  {
+                    $or: [
+                      { $and: [{ $eq: ["$user1", loginId] }, { $eq: ["$user2", "$$userId"] }] },
+                      { $and: [{ $eq: ["$user2", loginId] }, { $eq: ["$user1", "$$userId"] }] }
+                    ]
+                  }
+                ]
+              }
+            }
+          },
+          { $limit: 1 }
+        ],
+        as: "blockedRelation"
+      }
+    },
+    { $match: { blockedRelation: { $size: 0 } } },
+    { $unset: "blockedRelation" }
+  ];
+};
+
+// Consistent 403 for REST handlers
+export const sendBlockedError = (res) =>
+  res.status(403).json({ success: false, code: "BLOCKED", message: BLOCKED_MESSAGE });
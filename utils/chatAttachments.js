@@ -0,0 +1,127 @@
+// Chat message attachments: what can be uploaded (middlewares/cloudinaryUpload.js)
+// and what a message may reference when it is sent.
+
+export const ATTACHMENT_TYPES = ["image", "audio", "file"];
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 15 * 1024 * 1024;
+const MAX_VOICE_NOTE_SECONDS = 15 * 60;
+
+const MIME_TYPES = {
+  image: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+  audio: ["audio/mpeg", "audio/mp4", "audio/x-m4a", "audio/aac", "audio/ogg", "audio/webm", "audio/wav"],
+  file: [
+    "application/pdf",
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "text/plain"
+  ]
+};
+
+// Extension a stored upload gets, decided by the validated MIME type rather
+// than the client's file name (a ".html" name must never be served as HTML)
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "audio/mpeg": ".mp3",
+  "audio/mp4": ".m4a",
+  "audio/x-m4a": ".m4a",
+  "audio/aac": ".aac",
+  "audio/ogg": ".ogg",
+  "audio/webm": ".webm",
+  "audio/wav": ".wav",
+  "application/pdf": ".pdf",
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "text/plain": ".txt"
+};
+
+export const extensionFor = (mime) => EXTENSIONS[String(mime || "").toLowerCase()] || "";
+
+// Photos and voice notes on disk may be shown inline; anything else, including
+// files stored before extensions came from the MIME type, is sent as a download
+const INLINE_EXTENSIONS = new Set(
+  [...MIME_TYPES.image, ...MIME_TYPES.audio].map(mime => EXTENSIONS[mime])
+);
+
+export const isInlineUpload = (filename) => {
+  const dot = filename.lastIndexOf(".");
+  return dot !== -1 && INLINE_EXTENSIONS.has(filename.slice(dot).toLowerCase());
+};
+
+export const getAttachmentType = (mime) =>
+  ATTACHMENT_TYPES.find(type => MIME_TYPES[type].includes(String(mime || "").toLowerCase())) || null;
+
+// Only files we stored ourselves can be attached to a message
+const isOwnUploadUrl = (url) => {
+  if (url.includes("..")) return false;
+  const cloud = process.env.CLOUDINARY_CLOUD_NAME;
+  if (cloud && url.startsWith(`https://res.cloudinary.com/${cloud}/`) && url.includes("/shyeyes/chat/")) return true;
+  const base = (process.env.BASE_URL || "").replace(/\/$/, "");
+  return url.startsWith(`${base}/uploads/chat/`);
+};
+
+const thumbnailFor = (url) => (url.includes("res.cloudinary.com")
+  ? url.replace("/upload/", "/upload/c_limit,w_320,h_320/")
+  : url);
+
+/**
+ * Describe a file stored by chatAttachmentUpload. Cloudinary gives a full URL
+ * in `path`; the disk fallback is served from /uploads/chat.
+ */
+export const toAttachment = (file) => {
+  const type = getAttachmentType(file.mimetype);
+  const base = (process.env.BASE_URL || "").replace(/\/$/, "");
+  const url = /^https?:\/\//i.test(file.path || "") ? file.path : `${base}/uploads/chat/${file.filename}`;
+  return {
+    type,
+    url,
+    mime: file.mimetype,
+    size: file.size ?? null,
+    duration: null,
+    thumbnail: type === "image" ? thumbnailFor(url) : null
+  };
+};
+
+/**
+ * Validate the `attachments` a client sends with a message (as returned by
+ * the upload endpoint, plus `duration` for voice notes).
+ * Returns { attachments } or { error }.
+ */
+export const normalizeAttachments = (input) => {
+  if (input === undefined || input === null || input === "") return { attachments: [] };
+
+  let list = input;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return { error: "attachments must be valid JSON" };
+    }
+  }
+  if (!Array.isArray(list)) return { error: "attachments must be an array" };
+  if (list.length > MAX_ATTACHMENTS) return { error: `A message can have at most ${MAX_ATTACHMENTS} attachments` };
+
+  const attachments = [];
+  for (const item of list) {
+    const url = typeof item?.url === "string" ? item.url.trim() : "";
+    const type = getAttachmentType(item?.mime);
+    if (!url || !isOwnUploadUrl(url)) return { error: "Attachments must be uploaded through /api/chats/attachments first" };
+    if (!type || (item.type && item.type !== type)) return { error: "Unsupported attachment type" };
+
+    const size = Number(item.size);
+    const duration = Number(item.duration);
+    attachments.push({
+      type,
+      url,
+      mime: item.mime.toLowerCase(),
+      size: Number.isFinite(size) && size > 0 ? size : null,
+      duration: type === "audio" && Number.isFinite(duration) && duration > 0
+        ? Math.min(duration, MAX_VOICE_NOTE_SECONDS)
+        : null,
+      thumbnail: type === "image" ? thumbnailFor(url) : null
+    });
+  }
+  return { attachments };
+};
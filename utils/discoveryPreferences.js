@@ -0,0 +1,129 @@
+// Per-user discovery preferences (User.discoveryPreferences) and the filter
+// they produce for getMatches, getAllActiveUsers, getNewActiveMembers and search.
+
+export const DISCOVERY_GENDERS = ["Male", "Female", "Others"];
+
+export const MIN_AGE = 18;
+export const MAX_AGE = 100;
+const MAX_DISTANCE_KM = 20000;
+const EARTH_RADIUS_KM = 6378.1;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive match on a free-text location field
+const sameText = (value) => ({ $regex: `^${escapeRegex(value.trim())}$`, $options: "i" });
+const containsText = (value) => ({ $regex: escapeRegex(value.trim()), $options: "i" });
+
+// Without a stored choice, keep the original pairing: men see women, women
+// see men, everyone else sees everyone
+const defaultGenders = (gender) => {
+  const g = (gender || "").toLowerCase();
+  if (g === "male") return ["Female"];
+  if (g === "female") return ["Male"];
+  return [];
+};
+
+const parseGenders = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map(g => g.toString().trim()).filter(Boolean);
+};
+
+const toInt = (value) => (value === "" || value === null || value === undefined ? undefined : Number(value));
+
+/**
+ * Validate a (partial) discovery payload from the profile API and flatten it
+ * into $set paths. Returns { updates } or { error }.
+ */
+export const buildDiscoveryUpdates = (input, current = {}) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "discoveryPreferences must be an object" };
+  }
+
+  const updates = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (key === "genders") {
+      const genders = value === null ? [] : parseGenders(value);
+      if (genders.some(g => !DISCOVERY_GENDERS.includes(g))) {
+        return { error: `genders must be a list of ${DISCOVERY_GENDERS.join(", ")}` };
+      }
+      updates["discoveryPreferences.genders"] = [...new Set(genders)];
+    } else if (key === "minAge" || key === "maxAge") {
+      const age = toInt(value);
+      if (!Number.isInteger(age) || age < MIN_AGE || age > MAX_AGE) {
+        return { error: `${key} must be a whole number between ${MIN_AGE} and ${MAX_AGE}` };
+      }
+      updates[`discoveryPreferences.${key}`] = age;
+    } else if (key === "maxDistanceKm") {
+      const distance = toInt(value);
+      if (distance !== undefined && (!Number.isFinite(distance) || distance <= 0 || distance > MAX_DISTANCE_KM)) {
+        return { error: `maxDistanceKm must be between 1 and ${MAX_DISTANCE_KM}, or null` };
+      }
+      updates["discoveryPreferences.maxDistanceKm"] = distance ?? null;
+    } else if (key === "sameCountryOnly") {
+      if (typeof value !== "boolean") return { error: "sameCountryOnly must be a boolean" };
+      updates["discoveryPreferences.sameCountryOnly"] = value;
+    } else {
+      return { error: `Unknown discovery preference: ${key}` };
+    }
+  }
+
+  const minAge = updates["discoveryPreferences.minAge"] ?? current.minAge ?? MIN_AGE;
+  const maxAge = updates["discoveryPreferences.maxAge"] ?? current.maxAge ?? MAX_AGE;
+  if (minAge > maxAge) return { error: "minAge cannot be greater than maxAge" };
+
+  return { updates };
+};
+
+/**
+ * Validate optional latitude/longitude from the profile API.
+ * Returns { updates } (possibly empty) or { error }.
+ */
+export const buildGeoUpdates = ({ latitude, longitude }) => {
+  if (latitude === undefined && longitude === undefined) return { updates: {} };
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: "latitude and longitude must be valid coordinates" };
+  }
+  return { updates: { geoLocation: { type: "Point", coordinates: [lng, lat] } } };
+};
+
+/**
+ * Mongo conditions on User for what `viewer` wants to discover. `overrides`
+ * (e.g. search query params) replace the stored preference field by field;
+ * city/state/country narrow the result further.
+ */
+export const buildDiscoveryMatch = (viewer, overrides = {}) => {
+  const stored = viewer?.discoveryPreferences;
+  const prefs = { ...(stored?.toObject ? stored.toObject() : stored || {}) };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== "") prefs[key] = value;
+  }
+
+  const match = {};
+
+  const genders = prefs.genders?.length ? parseGenders(prefs.genders) : defaultGenders(viewer?.gender);
+  if (genders.length) match.gender = { $in: genders };
+
+  const minAge = Number(prefs.minAge) || MIN_AGE;
+  const maxAge = Number(prefs.maxAge) || MAX_AGE;
+  if (minAge > MIN_AGE || maxAge < MAX_AGE) match.age = { $gte: minAge, $lte: maxAge };
+
+  // Distance needs both sides' coordinates; users without them are left out
+  const coordinates = viewer?.geoLocation?.coordinates;
+  const maxDistanceKm = Number(prefs.maxDistanceKm);
+  if (maxDistanceKm > 0 && coordinates?.length === 2) {
+    match.geoLocation = { $geoWithin: { $centerSphere: [[...coordinates], maxDistanceKm / EARTH_RADIUS_KM] } };
+  }
+
+  // Explicit search terms match partially, like the old location search
+  if (prefs.country) {
+    match["location.country"] = containsText(String(prefs.country));
+  } else if (prefs.sameCountryOnly && viewer?.location?.country) {
+    match["location.country"] = sameText(viewer.location.country);
+  }
+  if (prefs.state) match["location.state"] = containsText(String(prefs.state));
+  if (prefs.city) match["location.city"] = containsText(String(prefs.city));
+
+  return match;
+};
@@ -1,6 +1,10 @@
 import mongoose from "mongoose";
+import { excludeBlockedStages } from "./blockList.js";
 
 export const getFriendshipAggregationStages = (loginUserId, page = 1, limit = 20) => [
+	// Hide users blocked in either direction
+	...excludeBlockedStages(loginUserId),
+
 	// Lookup friendship relation between login user and target user
 	{
 		$lookup: {
@@ -113,6 +117,7 @@ export const getFriendshipAggregationStages = (loginUserId, page = 1, limit = 20
 							{
 								$match: { $expr: { $eq: ["$_id", "$$friendId"] } }
 							},
+							...excludeBlockedStages(loginUserId),
 							{
 								$project: { _id: 1, Name: 1, profilePic: 1 }
 							}
@@ -1,5 +1,11 @@
+import crypto from "crypto";
 import otpGenerator from "otp-generator";
 
+const OTP_TTL_MS = 5 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS = 5; // per pending record
+export const MAX_OTP_ATTEMPTS = 5;
+
 export const generateOtp = () => {
   return Number(
     otpGenerator.generate(6, {
@@ -8,4 +14,49 @@ export const generateOtp = () => {
       lowerCaseAlphabets: false,
     })
   );
-};
\ No newline at end of file
+};
+
+// OTPs are stored as an HMAC scoped to their purpose and email, never in plain text
+export const hashOtp = (scope, otp) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET || "").update(`${scope}:${otp}`).digest("hex");
+
+/**
+ * Issue a fresh OTP, carrying resend counters over from the previous one.
+ * Returns { otp, state } or { error, retryAfterSec } when resends are throttled.
+ */
+export const issueOtp = (scope, previous = null) => {
+  const now = Date.now();
+  if (previous?.lastSentAt && now - previous.lastSentAt < RESEND_COOLDOWN_MS) {
+    return {
+      error: "RESEND_THROTTLED",
+      retryAfterSec: Math.ceil((RESEND_COOLDOWN_MS - (now - previous.lastSentAt)) / 1000)
+    };
+  }
+
+  const sendCount = (previous?.sendCount || 0) + 1;
+  if (sendCount > MAX_SENDS) return { error: "TOO_MANY_RESENDS" };
+
+  const otp = String(generateOtp()).padStart(6, "0");
+  return {
+    otp,
+    state: { hash: hashOtp(scope, otp), expiresAt: now + OTP_TTL_MS, attempts: 0, sendCount, lastSentAt: now }
+  };
+};
+
+/**
+ * Check a submitted OTP against its stored state. Returns null on success,
+ * otherwise an error code. The attempt must already be counted on `state`
+ * through the store's countAttempt(); `counted` is false once the limit was hit.
+ */
+export const checkOtp = (scope, state, otp, counted) => {
+  if (!state?.hash) return "NO_OTP";
+  if (Date.now() > state.expiresAt) return "OTP_EXPIRED";
+  if (!counted) return "TOO_MANY_ATTEMPTS";
+
+  const expected = Buffer.from(state.hash);
+  const actual = Buffer.from(hashOtp(scope, String(otp).trim()));
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return state.attempts >= MAX_OTP_ATTEMPTS ? "TOO_MANY_ATTEMPTS" : "INVALID_OTP";
+  }
+  return null;
+};
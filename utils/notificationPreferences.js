@@ -0,0 +1,83 @@
+// Per-user notification preferences (User.notificationPreferences)
+
+export const NOTIFICATION_TYPES = ["friend_request", "message", "call", "like", "match", "comment", "system"];
+
+export const DIGEST_FREQUENCIES = ["daily", "weekly", "off"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Current "HH:mm" in the given IANA timezone
+const localTime = (date, timezone) =>
+  new Intl.DateTimeFormat("en-GB", { timeZone: timezone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    .format(date);
+
+/**
+ * True when `date` falls inside the user's quiet hours. Windows may wrap
+ * past midnight (e.g. 22:00 - 07:00).
+ */
+export const isInQuietHours = (prefs, date = new Date()) => {
+  const quiet = prefs?.quietHours;
+  if (!quiet?.enabled || !quiet.start || !quiet.end || quiet.start === quiet.end) return false;
+
+  const now = localTime(date, isValidTimezone(quiet.timezone) ? quiet.timezone : "UTC");
+  return quiet.start < quiet.end
+    ? now >= quiet.start && now < quiet.end
+    : now >= quiet.start || now < quiet.end;
+};
+
+// Missing preferences mean the channel is on (defaults in the User schema)
+export const wantsInApp = (prefs, type) => prefs?.[type]?.inApp !== false;
+
+export const wantsEmail = (prefs, type, date = new Date()) =>
+  prefs?.[type]?.email !== false && !isInQuietHours(prefs, date);
+
+/**
+ * Validate a (partial) preferences payload from the profile API and flatten it
+ * into $set paths. Returns { updates } or { error }.
+ */
+export const buildPreferenceUpdates = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "notificationPreferences must be an object" };
+  }
+
+  const updates = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (NOTIFICATION_TYPES.includes(key)) {
+      for (const channel of ["inApp", "email"]) {
+        if (value?.[channel] === undefined) continue;
+        if (typeof value[channel] !== "boolean") return { error: `${key}.${channel} must be a boolean` };
+        updates[`notificationPreferences.${key}.${channel}`] = value[channel];
+      }
+    } else if (key === "quietHours") {
+      const { enabled, start, end, timezone } = value || {};
+      if (enabled !== undefined) {
+        if (typeof enabled !== "boolean") return { error: "quietHours.enabled must be a boolean" };
+        updates["notificationPreferences.quietHours.enabled"] = enabled;
+      }
+      for (const [field, time] of [["start", start], ["end", end]]) {
+        if (time === undefined) continue;
+        if (!TIME_PATTERN.test(time)) return { error: `quietHours.${field} must be HH:mm` };
+        updates[`notificationPreferences.quietHours.${field}`] = time;
+      }
+      if (timezone !== undefined) {
+        if (!isValidTimezone(timezone)) return { error: "quietHours.timezone is not a valid timezone" };
+        updates["notificationPreferences.quietHours.timezone"] = timezone;
+      }
+    } else if (key === "digest") {
+      if (!DIGEST_FREQUENCIES.includes(value)) return { error: `digest must be one of ${DIGEST_FREQUENCIES.join(", ")}` };
+      updates["notificationPreferences.digest"] = value;
+    } else {
+      return { error: `Unknown notification preference: ${key}` };
+    }
+  }
+  return { updates };
+};
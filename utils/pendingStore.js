@@ -1,32 +1,110 @@
 // pendingStore.js
+// Short-lived records (unverified registrations, password-reset OTPs) with expiry.
+// Backed by Redis when config/redis.js has a live connection at startup, otherwise
+// by a Mongo TTL collection, so state survives restarts and is shared across instances.
+import { redisClient } from "../config/redis.js";
+import PendingRecord from "../models/PendingRecord.js";
 
-// In-memory store
-export const pendingUsers = {}; // <-- named export
+// Picked once by selectPendingBackend(): switching mid-flight would hide records
+// written to the other backend (e.g. while Redis reconnects)
+let backend = "mongo";
 
-export const addPendingUser = (email, data) => {
-  pendingUsers[email] = {
-    ...data,
-    resendAttempts: 0,
-  };
+export const selectPendingBackend = () => {
+  backend = redisClient?.status === "ready" ? "redis" : "mongo";
+  console.log(`🗄️ Pending records stored in ${backend === "redis" ? "Redis" : "MongoDB"}`);
+  return backend;
 };
 
-export const getPendingUser = (email) => pendingUsers[email] || null;
+const useRedis = () => backend === "redis";
+
+// Bump data[field].attempts unless it already reached the limit, in one step
+const COUNT_ATTEMPT_SCRIPT = `
+local raw = redis.call("GET", KEYS[1])
+if not raw then return nil end
+local data = cjson.decode(raw)
+local state = data[ARGV[1]]
+if type(state) ~= "table" or (tonumber(state.attempts) or 0) >= tonumber(ARGV[2]) then
+  return { raw, 0 }
+end
+state.attempts = (tonumber(state.attempts) or 0) + 1
+raw = cjson.encode(data)
+redis.call("SET", KEYS[1], raw, "KEEPTTL")
+return { raw, 1 }
+`;
+
+export const createTtlStore = (prefix) => {
+  const keyFor = (key) => `${prefix}:${key}`;
+
+  return {
+    async get(key) {
+      if (useRedis()) {
+        const raw = await redisClient.get(keyFor(key));
+        return raw ? JSON.parse(raw) : null;
+      }
+      // The TTL monitor only runs every ~60s, so filter expired rows ourselves
+      const record = await PendingRecord.findOne({ key: keyFor(key), expiresAt: { $gt: new Date() } }).lean();
+      return record ? record.data : null;
+    },
+
+    async set(key, data, ttlSec) {
+      if (useRedis()) {
+        await redisClient.set(keyFor(key), JSON.stringify(data), "EX", ttlSec);
+        return;
+      }
+      await PendingRecord.findOneAndUpdate(
+        { key: keyFor(key) },
+        { $set: { data, expiresAt: new Date(Date.now() + ttlSec * 1000) } },
+        { upsert: true }
+      );
+    },
+
+    // Merge updates into an existing record without extending its expiry
+    async update(key, updates) {
+      const current = await this.get(key);
+      if (!current) return null;
+      const data = { ...current, ...updates };
 
-export const findPendingUserByOtp = (otp) => {
-  for (const email in pendingUsers) {
-    if (pendingUsers[email].otp === otp) {
-      return { email, data: pendingUsers[email] };
+      if (useRedis()) {
+        await redisClient.set(keyFor(key), JSON.stringify(data), "KEEPTTL");
+      } else {
+        await PendingRecord.updateOne({ key: keyFor(key) }, { $set: { data } });
+      }
+      return data;
+    },
+
+    /**
+     * Count one attempt against data[field].attempts, atomically and only while
+     * it is below `max`. Returns { data, counted }; data is null when there is
+     * no record, counted is false when the limit was already reached.
+     */
+    async countAttempt(key, field, max) {
+      if (useRedis()) {
+        const result = await redisClient.eval(COUNT_ATTEMPT_SCRIPT, 1, keyFor(key), field, max);
+        if (!result) return { data: null, counted: false };
+        return { data: JSON.parse(result[0]), counted: result[1] === 1 };
+      }
+      const attemptsPath = `data.${field}.attempts`;
+      const record = await PendingRecord.findOneAndUpdate(
+        { key: keyFor(key), expiresAt: { $gt: new Date() }, [attemptsPath]: { $lt: max } },
+        { $inc: { [attemptsPath]: 1 } },
+        { new: true }
+      ).lean();
+      if (record) return { data: record.data, counted: true };
+      return { data: await this.get(key), counted: false };
+    },
+
+    async remove(key) {
+      if (useRedis()) {
+        await redisClient.del(keyFor(key));
+        return;
+      }
+      await PendingRecord.deleteOne({ key: keyFor(key) });
     }
-  }
-  return null;
+  };
 };
 
-export const updatePendingUser = (email, updates) => {
-  if (pendingUsers[email]) {
-    pendingUsers[email] = { ...pendingUsers[email], ...updates };
-  }
-};
+// Unverified registrations, keyed by email
+export const pendingUsers = createTtlStore("pending_user");
 
-export const removePendingUser = (email) => {
-  delete pendingUsers[email];
-};
+// Password-reset OTPs, keyed by email
+export const passwordResets = createTtlStore("password_reset");